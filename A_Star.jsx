@@ -13,7 +13,7 @@
  *      @tailwind base;
  * @tailwind components;
  * @tailwind utilities;
- * 6) Save THIS file as src/AStarPathfindingDemo.jsx
+ * 6) Save THIS file as src/AStarPathfindingDemo.jsx, and pathfinding.mjs (the UI-free engine), benchmark.mjs, recording.mjs, editing.mjs and pathfinding.worker.mjs next to it in src/
  * 7) Replace src/App.jsx with:
  *      import Demo from "./AStarPathfindingDemo.jsx";
 export default function App(){ return <Demo/> }
@@ -21,401 +21,1063 @@ export default function App(){ return <Demo/> }
  *
  * 💡 Alternate: you can run without Tailwind; it will still function but look plain.
  *
- * Controls: Play/Pause • Step • Reset • Regenerate • Speed • Obstacle density • Seed • Grid size • Guarantee solvable
- * Algorithm: 4-way moves, g=1 per move, h = Manhattan (L1), ties broken on lower h.
- * Self-tests: basic assertions run once on mount (open DevTools console).
+ * Controls: Play/Pause • Step • Back • Finish • Timeline scrub/Replay • Reset • Regenerate • Algorithm • Movement • Heuristic • Speed • Generator • Obstacle density • Seed • Grid size (up to 1024×1024) • Guarantee solvable
+ *   • Terrain patches • Paint palette (road / wall / grass / mud / water) • Drag start/goal (paused)
+ *   • Paint tools: click-drag freehand (right-drag erases), lines and filled rectangles with a 1–9 cell brush;
+ *     clear all / invert walls / fill border; each stroke is one undo step (Ctrl+Z / Ctrl+Y) and one engine rebuild
+ *   • Background worker: layouts that need solvability retries (or big grids) generate, and Finish / the Instant
+ *     speed run searches to the end, in a Web Worker with progress and Cancel; speeds go past 30 steps/sec to
+ *     1–1000 steps per frame
+ *   • Goals: single, nearest of several, or an ordered waypoint tour (Waypoint tool)
+ *   • Map files: export/import the grid as JSON; import Moving AI benchmark .map and .scen files
+ *   • Copy link: the URL hash holds every setting plus hand edits, so a link reopens the exact grid (maps whose edits
+ *     would make the link too long are shared without them)
+ *   • Race mode: 2 or 4 algorithms on the same map in lockstep, with a summary table and the winner highlighted
+ *   • Record: replays the run frame by frame (deterministic stepping, not wall-clock) at 1–2× resolution and
+ *     24–60 fps into a WebM (WebCodecs, else MediaRecorder) or a ZIP of PNG frames, with optional legend and a title card with the seed
+ *   • Keyboard: Space play/pause, → step, ← back, R reset, G regenerate, F finish, Esc cancel, Ctrl+Z/Ctrl+Y undo/redo;
+ *     a cell cursor on the focused grid (arrows, Enter paints) with read-outs, an ARIA live region for status changes,
+ *     and a colorblind-safe (Okabe–Ito) palette
+ *   • Inspect: hover any cell for its coordinates, state, g/h/f and parent; toggle scores printed in cells,
+ *     parent arrows, and a g or f heatmap over the reached region
+ *   • Fog-of-war agent: a robot with a sensor radius walks toward the goal, replanning as it discovers walls;
+ *     distance travelled is compared with the omniscient optimal path
+ *   • Benchmark panel: batch-solve seeded layouts over sizes × densities × algorithms × heuristics, chart + CSV/JSON export
+ * Generators: random noise, mazes (recursive backtracker, Prim's, Kruskal's, recursive division), cellular-automata caves,
+ *   rooms & corridors — all reproducible from the seed; every one but noise connects start and goal by construction.
+ * Algorithms: A*, Weighted A* (f = g + ε·h), Dijkstra, Greedy Best-First, BFS, bidirectional A* and BFS (frontiers from
+ *   start and goal in turn; they stop once top(forward) + top(backward) ≥ the best meeting cost, not merely when they touch),
+ *   LPA* (incremental: paint walls mid-run and it repairs only the affected cells, highlighted in magenta, instead of searching
+ *   again from scratch), Jump Point Search (uniform-cost 4-/8-way grids: opens only jump points, draws its scans, and
+ *   counts its expansions against plain A* on the same map).
+ * Search: 4-way or 8-way moves (g=1 straight, √2 diagonal), h = Manhattan, Euclidean, Chebyshev, Octile or 0,
+ *   ties broken on lower h, then first-in-first-out (indexed binary-heap open set). The UI warns when the heuristic is inadmissible for the movement mode.
+ * Terrain: entering a cell costs road 1, grass 2, mud 5, water 10 (× √2 diagonally); walls are impassable.
+ * Tests: `node --test` (Node 18+) runs the *.test.mjs suites against pathfinding.mjs, the worker, benchmark.mjs, recording.mjs and editing.mjs — no install needed.
+ * Benchmarks from the shell: node benchmark-cli.mjs --densities 0.1,0.2,0.3 --seeds 20 --format csv (see --help).
  */
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  ROAD, WALL, TERRAIN, MOVEMENTS, HEURISTICS, ALGORITHMS, GENERATORS, GRID_MAX, GRID_MIN_W, GRID_MIN_H, SPEEDS,
+  heuristicAdmissible, fmt, seekEngine, engineFromSpec, adoptEngineState, generateObstacles, layoutToJson, parseMapFile,
+  encodeTerrainEdits, applyTerrainEdits, shareHash, parseShareHash, raceSummary, finishAnnouncement,
+} from "./pathfinding.mjs";
+import { parseSizeList, runBenchmark, seedList, summarizeBenchmark, toCsv, validateBenchmark } from "./benchmark.mjs";
+import { RECORD_FPS, RECORD_MAX_SECONDS, RECORD_SCALES, frameName, frameSchedule, webmMux, zipStore } from "./recording.mjs";
+import { BRUSH_MAX, EditHistory, borderCells, brushCells, clearTerrain, invertWalls, lineCells, paintCells, rectCells } from "./editing.mjs";
 
 // 16:9 interactive A* demo for a rectangular grid.
-// Start = top-left, Goal = bottom-right
-// g = 1 per move, h = Manhattan (L1), 4-way moves
+// Start = top-left, Goal = bottom-right by default; drag either marker while paused
+// g = 1 per straight move (√2 diagonal), selectable heuristic, 4- or 8-way moves
 // Frontier (open) blue • Explored (closed) gray • Current orange • Path gold
-// Click grid (paused) to toggle walls. Seeded obstacles; optional solvable guarantee.
+// Click or drag on the grid (paused; any time with LPA*) to paint terrain; undo/redo edits. Seeded obstacles and terrain; optional solvable guarantee.
 
 const CANVAS_W = 960; // CSS pixels (good for 1080p capture too)
 const CANVAS_H = 540; // 16:9 aspect
+const PIXEL_CELL = 4; // below this many px per cell, draw cells as one scaled-up image
+const SETTLE_STEPS = 2000; // steps per frame for comparison searches (engine.settle) until they finish
+const SHARE_EDITS_MAX = 4000; // longest hand-edit diff kept in the URL hash, in characters
+
+// --- Grid drawing -----------------------------------------------------------
+// Cell size and offsets that center a w×h grid in a rect (fractional below PIXEL_CELL px per cell)
+function fitGrid(w, h, rect) {
+  const fit = Math.min(rect.w / w, rect.h / h);
+  const cell = fit >= PIXEL_CELL ? Math.floor(fit) : fit;
+  const gw = cell * w; const gh = cell * h;
+  const ox = rect.x + Math.floor((rect.w - gw) / 2);
+  const oy = rect.y + Math.floor((rect.h - gh) / 2);
+  return { cell, ox, oy, gw, gh };
+}
 
-// --- Self-tests -------------------------------------------------------------
-// Always include some quick sanity checks so regressions are obvious.
-const ENABLE_SELF_TESTS = true;
+const LEG_SHADES = ["#ffd166", "#f4a259", "#ffe8a3", "#e9b949", "#ffbf80", "#d9a441"]; // path color per tour leg
+
+// Core search colors. The colorblind-safe set takes Okabe–Ito hues that stay apart under red-green
+// and blue-yellow color vision deficiency, and also separates frontier, explored and path by lightness.
+const PALETTES = {
+  standard: { label: "Standard", open: "rgba(80,140,255,0.35)", closed: "rgba(0,0,0,0.08)", current: "#ff9f1a", path: "#ffd166", start: "#00d084", goal: "#ef476f" },
+  okabeIto: { label: "Colorblind-safe (Okabe–Ito)", open: "rgba(86,180,233,0.55)", closed: "rgba(0,0,0,0.22)", current: "#d55e00", path: "#0072b2", start: "#009e73", goal: "#cc79a7" },
+};
+
+// Terrain, search overlays, path, markers and grid lines of one engine inside `layout`.
+// `buffer` holds the offscreen image for large grids; `drag` is the endpoint being dragged, if any.
+function drawGrid(ctx, eng, layout, buffer, drag, overlays = NO_OVERLAYS, colors = PALETTES.standard) {
+  const { cell, ox, oy, gw, gh } = layout;
+
+  // path (if finished and success) in gold; a waypoint tour shades each finished leg
+  const pathRuns = eng.legs
+    ? eng.legs.filter((leg) => leg.path.length).map((leg, k) => [leg.path, LEG_SHADES[k % LEG_SHADES.length]])
+    : eng.finished && eng.success ? [[eng.path, colors.path]] : [];
+
+  if (cell < PIXEL_CELL) {
+    drawCellImage(ctx, eng, layout, pathRuns, buffer, overlays.heatmap, colors);
+  } else {
+    // grid background (white squares = road)
+    ctx.fillStyle = TERRAIN[ROAD].color;
+    ctx.fillRect(ox, oy, gw, gh);
 
-function runSelfTests() {
-  try {
-    // Helper to build an engine and exhaust it
-    const run = (w, h, walls) => {
-      const eng = new AStarEngine(w, h, walls);
-      let guard = 0;
-      while (!eng.finished && guard++ < 1e6) eng.step();
-      return eng;
-    };
+    // weighted terrain (grass / mud / water) tinted under the search overlays
+    if (eng.weighted) {
+      for (let i = 0; i < eng.terrain.length; i++) {
+        const t = eng.terrain[i];
+        if (t === ROAD || t === WALL) continue;
+        const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
+        ctx.fillStyle = TERRAIN[t].color; ctx.fillRect(x, y, cell, cell);
+      }
+    }
 
-    // Test 1: empty 5x5 grid should have shortest path length = w + h - 1 = 9 cells
-    {
-      const w = 5, h = 5;
-      const walls = new Uint8Array(w * h);
-      const eng = run(w, h, walls);
-      console.assert(eng.finished && eng.success, "Test1: should succeed");
-      console.assert(eng.path.length === w + h - 1, `Test1: path length ${eng.path.length} !== 9`);
-    }
-
-    // Test 2: barrier but solvable (bend around a wall)
-    {
-      const w = 5, h = 5;
-      const walls = new Uint8Array(w * h);
-      // Add a chunky block in the middle forcing a detour
-      const block = [
-        [2, 1], [2, 2], [2, 3], [1, 2], [3, 2]
-      ];
-      for (const [x, y] of block) walls[y * w + x] = 1;
-      const eng = run(w, h, walls);
-      console.assert(eng.finished && eng.success, "Test2: should still succeed");
-      console.assert(eng.path.length > w + h - 1, "Test2: path should be longer than empty grid");
-    }
-
-    // Test 3: no-path case (solid horizontal wall at y=1)
-    {
-      const w = 5, h = 5;
-      const walls = new Uint8Array(w * h);
-      for (let x = 0; x < w; x++) walls[1 * w + x] = 1; // blocks row under the start row completely
-      const eng = run(w, h, walls);
-      console.assert(eng.finished && !eng.success, "Test3: should fail (no path)");
-    }
-
-    console.debug("A* self-tests passed.");
-  } catch (e) {
-    console.error("A* self-tests error:", e);
-  }
-}
+    // jump point search: cells its scans looked at without opening them, in pale amber
+    if (eng.scanned) {
+      ctx.fillStyle = "rgba(255,196,0,0.22)";
+      for (let i = 0; i < eng.scanned.length; i++) {
+        if (!eng.scanned[i] || eng.closed[i] || eng.inOpen[i]) continue;
+        ctx.fillRect((i % eng.w) * cell + ox, Math.floor(i / eng.w) * cell + oy, cell, cell);
+      }
+    }
 
-// --- Seeded RNG helpers -----------------------------------------------------
-function xmur3(str) {
-  let h = 1779033703 ^ str.length;
-  for (let i = 0; i < str.length; i++) {
-    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
-    h = (h << 13) | (h >>> 19);
-  }
-  return function () {
-    h = Math.imul(h ^ (h >>> 16), 2246822507);
-    h = Math.imul(h ^ (h >>> 13), 3266489909);
-    return (h ^= h >>> 16) >>> 0;
-  };
-}
+    // explored (closed) overlay
+    ctx.fillStyle = colors.closed;
+    for (let i = 0; i < eng.closed.length; i++) {
+      if (!eng.closed[i]) continue;
+      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
+      ctx.fillRect(x, y, cell, cell);
+    }
 
-function mulberry32(a) {
-  return function () {
-    a |= 0;
-    a = (a + 0x6D2B79F5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+    // frontier (open set) in blue (sky blue in the colorblind palette); LPA* cells re-opened by a terrain edit in magenta
+    for (const i of eng.open) {
+      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
+      ctx.fillStyle = eng.reopened && eng.reopened[i] ? "rgba(230,60,200,0.45)" : colors.open;
+      ctx.fillRect(x, y, cell, cell);
+    }
 
-function rngFromSeed(seedStr) {
-  const seed = xmur3(seedStr)();
-  return mulberry32(seed);
-}
+    // bidirectional search: the backward side (from the goal) in green
+    if (eng.openB) {
+      ctx.fillStyle = "rgba(0,110,70,0.12)";
+      for (let i = 0; i < eng.closedB.length; i++) {
+        if (!eng.closedB[i]) continue;
+        ctx.fillRect((i % eng.w) * cell + ox, Math.floor(i / eng.w) * cell + oy, cell, cell);
+      }
+      ctx.fillStyle = "rgba(40,200,140,0.35)";
+      for (const i of eng.openB) ctx.fillRect((i % eng.w) * cell + ox, Math.floor(i / eng.w) * cell + oy, cell, cell);
+    }
+
+    // g or f heatmap over every reached cell
+    const heat = heatScale(eng, overlays.heatmap);
+    if (heat) {
+      for (let i = 0; i < heat.values.length; i++) {
+        const t = heat.at(i); if (t < 0) continue;
+        const [r, g, b] = heatRgb(t);
+        ctx.fillStyle = `rgba(${r},${g},${b},0.75)`;
+        ctx.fillRect((i % eng.w) * cell + ox, Math.floor(i / eng.w) * cell + oy, cell, cell);
+      }
+    }
+
+    // walls in near-black
+    ctx.fillStyle = TERRAIN[WALL].color;
+    for (let i = 0; i < eng.terrain.length; i++) {
+      if (eng.terrain[i] !== WALL) continue;
+      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
+      ctx.fillRect(x + 1, y + 1, cell - 2, cell - 2);
+    }
+
+    // jump points (every cell jump point search opened) get a violet dot
+    if (eng.scanned) {
+      ctx.fillStyle = "#7c3aed";
+      const m = Math.max(2, cell / 3);
+      for (let i = 0; i < eng.closed.length; i++) {
+        if (!eng.closed[i] && !eng.inOpen[i]) continue;
+        ctx.fillRect((i % eng.w) * cell + ox + (cell - m) / 2, Math.floor(i / eng.w) * cell + oy + (cell - m) / 2, m, m);
+      }
+    }
 
-// --- A* Engine --------------------------------------------------------------
-class AStarEngine {
-  constructor(w, h, obstacles) {
-    this.w = w;
-    this.h = h;
-    this.start = 0; // (0,0)
-    this.goal = w * h - 1; // (w-1,h-1)
-
-    this.obstacles = obstacles; // Uint8Array 0/1
-
-    const n = w * h;
-    this.g = new Float32Array(n).fill(Infinity);
-    this.f = new Float32Array(n).fill(Infinity);
-    this.hScore = new Float32Array(n);
-    this.came = new Int32Array(n).fill(-1);
-    this.open = []; // array of node indices (we'll scan for min)
-    this.inOpen = new Uint8Array(n); // 0/1 flag
-    this.closed = new Uint8Array(n); // 0/1 flag
-
-    // Precompute Manhattan h to goal
-    const gx = w - 1;
-    const gy = h - 1;
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = this.idx(x, y);
-        this.hScore[i] = Math.abs(gx - x) + Math.abs(gy - y);
+    // fog-of-war agent: unseen cells under fog (the real map shows through faintly), then the
+    // trail it walked and the plan ahead, which assumes unseen cells are free
+    if (eng.seen) {
+      ctx.fillStyle = "rgba(30,36,56,0.78)";
+      for (let i = 0; i < eng.seen.length; i++) {
+        if (eng.seen[i]) continue;
+        ctx.fillRect((i % eng.w) * cell + ox, Math.floor(i / eng.w) * cell + oy, cell, cell);
+      }
+      ctx.fillStyle = "#f4a259";
+      for (const i of eng.trail) ctx.fillRect((i % eng.w) * cell + ox + 3, Math.floor(i / eng.w) * cell + oy + 3, cell - 6, cell - 6);
+      if (eng.plan) {
+        ctx.fillStyle = "#22d3ee";
+        const m = Math.max(2, cell / 3);
+        for (let k = eng.planAt + 1; k < eng.plan.length; k++) {
+          const i = eng.plan[k];
+          ctx.fillRect((i % eng.w) * cell + ox + (cell - m) / 2, Math.floor(i / eng.w) * cell + oy + (cell - m) / 2, m, m);
+        }
       }
     }
 
-    // Init start
-    this.g[this.start] = 0;
-    this.f[this.start] = this.hScore[this.start];
-    this.open.push(this.start);
-    this.inOpen[this.start] = 1;
-
-    this.current = -1; // the node just popped this step
-    this.finished = false;
-    this.success = false;
-    this.path = [];
-    this.iter = 0;
-  }
-
-  idx(x, y) { return y * this.w + x; }
-  xy(i) { return [i % this.w, Math.floor(i / this.w)]; }
-
-  neighbors(i) {
-    const [x, y] = this.xy(i);
-    const nn = [];
-    if (x > 0) nn.push(i - 1);
-    if (x < this.w - 1) nn.push(i + 1);
-    if (y > 0) nn.push(i - this.w);
-    if (y < this.h - 1) nn.push(i + this.w);
-    return nn;
-  }
-
-  // One A* expansion step. Returns a snapshot of key info.
-  step() {
-    if (this.finished) return { done: true };
-    this.iter++;
-
-    // pick node in open set with lowest f (tie-break on lower h)
-    if (this.open.length === 0) {
-      this.finished = true;
-      this.success = false;
-      return { done: true };
-    }
-    let bestIdx = 0;
-    let best = this.open[0];
-    let bestF = this.f[best];
-    let bestH = this.hScore[best];
-    for (let k = 1; k < this.open.length; k++) {
-      const node = this.open[k];
-      const f = this.f[node];
-      if (f < bestF || (f === bestF && this.hScore[node] < bestH)) {
-        bestIdx = k; best = node; bestF = f; bestH = this.hScore[node];
+    // current node (being expanded) in orange; the agent's robot
+    if (eng.current >= 0) {
+      const cx = (eng.current % eng.w) * cell + ox; const cy = Math.floor(eng.current / eng.w) * cell + oy;
+      ctx.fillStyle = colors.current; ctx.fillRect(cx + 2, cy + 2, cell - 4, cell - 4);
+    }
+
+    // path runs (colors picked above)
+    for (const [path, color] of pathRuns) {
+      ctx.fillStyle = color;
+      for (const i of path) {
+        const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
+        ctx.fillRect(x + 3, y + 3, cell - 6, cell - 6);
       }
     }
 
-    // pop best
-    const current = best;
-    this.current = current;
-    this.open.splice(bestIdx, 1);
-    this.inOpen[current] = 0;
-    this.closed[current] = 1;
+    if (overlays.arrows) drawParentArrows(ctx, eng, layout);
+    if (overlays.numbers) drawScoreNumbers(ctx, eng, layout);
+  }
 
-    // goal check
-    if (current === this.goal) {
-      this.finished = true;
-      this.success = true;
-      this.path = this.reconstructPath(current);
-      return { done: true };
+  // the straight scans jump point search ran from the node it just expanded
+  if (eng.scanned) {
+    const rays = eng.rays();
+    ctx.strokeStyle = "#ff7a00"; ctx.lineWidth = Math.max(1, cell / 8);
+    ctx.beginPath();
+    for (let k = 0; k < rays.length; k += 2) {
+      const [a, b] = [rays[k], rays[k + 1]];
+      ctx.moveTo(ox + (a % eng.w + 0.5) * cell, oy + (Math.floor(a / eng.w) + 0.5) * cell);
+      ctx.lineTo(ox + (b % eng.w + 0.5) * cell, oy + (Math.floor(b / eng.w) + 0.5) * cell);
     }
+    ctx.stroke();
+  }
 
-    // expand neighbors
-    const gn = this.g[current] + 1; // cost per move is 1
-    for (const nb of this.neighbors(current)) {
-      if (this.closed[nb]) continue;
-      if (this.obstacles[nb]) continue; // wall
-      if (Number.isFinite(this.g[nb]) && gn >= this.g[nb]) continue;
-      // better path found
-      this.came[nb] = current;
-      this.g[nb] = gn;
-      this.f[nb] = gn + this.hScore[nb];
-      if (!this.inOpen[nb]) { this.open.push(nb); this.inOpen[nb] = 1; }
+  // where the two searches of a bidirectional engine join the best route so far
+  if (eng.meet >= 0) {
+    const mx = ox + (eng.meet % eng.w) * cell; const my = oy + Math.floor(eng.meet / eng.w) * cell;
+    const ring = Math.max(cell, 8); const off = (cell - ring) / 2; // tiny cells still get a visible ring
+    ctx.strokeStyle = "#ff4fd8"; ctx.lineWidth = Math.max(2, cell / 6);
+    ctx.strokeRect(mx + off + 1, my + off + 1, ring - 2, ring - 2);
+  }
+
+  // start & goal markers (a dragged endpoint follows the pointer)
+  const startCell = drag && drag.which === "start" ? drag.cell : eng.start;
+  const goalCell = drag && drag.which === "goal" ? drag.cell : eng.goal;
+  const startX = ox + (startCell % eng.w) * cell; const startY = oy + Math.floor(startCell / eng.w) * cell;
+  const goalX = ox + (goalCell % eng.w) * cell; const goalY = oy + Math.floor(goalCell / eng.w) * cell;
+  const mk = Math.max(5, cell - 4); const inset = (cell - mk) / 2; // stays visible on tiny cells
+  ctx.fillStyle = colors.start; ctx.fillRect(startX + inset, startY + inset, mk, mk); // start (green)
+  ctx.fillStyle = colors.goal; ctx.fillRect(goalX + inset, goalY + inset, mk, mk);   // goal (red)
+
+  // numbered waypoints: tour stops in violet, extra goals ("nearest of several") in red
+  const marks = eng.stops ? eng.stops.slice(1, -1) : eng.goals.filter((i) => i !== eng.goal);
+  if (marks.length) {
+    ctx.font = `bold ${Math.max(8, Math.floor(cell * 0.6))}px ui-sans-serif, system-ui, sans-serif`;
+    ctx.textAlign = "center"; ctx.textBaseline = "middle";
+    marks.forEach((i, k) => {
+      const cx = ox + (i % eng.w + 0.5) * cell; const cy = oy + (Math.floor(i / eng.w) + 0.5) * cell;
+      ctx.fillStyle = eng.stops ? "#8e5cf7" : colors.goal;
+      ctx.beginPath(); ctx.arc(cx, cy, Math.max(3, cell / 2 - 1), 0, Math.PI * 2); ctx.fill();
+      if (cell >= 10) { ctx.fillStyle = "#ffffff"; ctx.fillText(String(k + 1), cx, cy + 0.5); }
+    });
+    ctx.textAlign = "start"; ctx.textBaseline = "alphabetic";
+  }
+
+  // grid lines (subtle dark on white; skipped when cells are too small to read them)
+  if (cell >= 6) {
+    ctx.strokeStyle = "rgba(0,0,0,0.08)";
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= eng.w; x++) {
+      const gx = ox + x * cell + 0.5; ctx.beginPath();
+      ctx.moveTo(gx, oy + 0.5); ctx.lineTo(gx, oy + gh + 0.5); ctx.stroke();
     }
+    for (let y = 0; y <= eng.h; y++) {
+      const gy = oy + y * cell + 0.5; ctx.beginPath();
+      ctx.moveTo(ox + 0.5, gy); ctx.lineTo(ox + gw + 0.5, gy); ctx.stroke();
+    }
+  }
+}
+
+// A paint stroke before it's applied: its cells washed in the terrain it will paint (a rectangle
+// is one box from corner to corner, however large)
+function drawStroke(ctx, stroke, { cell, ox, oy }, w) {
+  ctx.save();
+  ctx.globalAlpha = 0.7; ctx.fillStyle = TERRAIN[stroke.code].color;
+  if (stroke.tool === "rect") {
+    const x0 = Math.min(stroke.from % w, stroke.to % w); const y0 = Math.min(Math.floor(stroke.from / w), Math.floor(stroke.to / w));
+    const bw = (Math.abs(stroke.from % w - stroke.to % w) + 1) * cell; const bh = (Math.abs(Math.floor(stroke.from / w) - Math.floor(stroke.to / w)) + 1) * cell;
+    ctx.fillRect(ox + x0 * cell, oy + y0 * cell, bw, bh);
+    ctx.globalAlpha = 1; ctx.strokeStyle = "#38bdf8"; ctx.lineWidth = 1.5; ctx.strokeRect(ox + x0 * cell, oy + y0 * cell, bw, bh);
+  } else {
+    for (const i of stroke.cells) ctx.fillRect(ox + (i % w) * cell, oy + Math.floor(i / w) * cell, cell, cell);
+  }
+  ctx.restore();
+}
 
-    return { done: false, current, openCount: this.open.length, iter: this.iter };
+// --- Score overlays -------------------------------------------------------------
+// Optional layers over the search: g/h/f printed in cells, arrows to each cell's parent, and a
+// heatmap of g or f across the reached region. Engines without per-cell scores (the agent) skip them.
+const NO_OVERLAYS = { numbers: false, arrows: false, heatmap: "off" };
+const NUMBER_CELL = 18; // px per cell before f fits inside a cell (g, h and f need twice that)
+
+// Viridis-like ramp, dark (low) to yellow (high): t in [0, 1] → [r, g, b]
+const HEAT_STOPS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+function heatRgb(t) {
+  const x = Math.min(1, Math.max(0, t)) * (HEAT_STOPS.length - 1); const k = Math.min(HEAT_STOPS.length - 2, Math.floor(x)); const u = x - k;
+  return HEAT_STOPS[k].map((c, j) => Math.round(c + (HEAT_STOPS[k + 1][j] - c) * u));
+}
+
+// Normalizes g or f over the reached (open or closed) cells; at(i) is in [0, 1], or -1 elsewhere
+function heatScale(eng, key) {
+  if (key === "off" || !key || !eng.g) return null;
+  const values = key === "f" ? eng.f : eng.g;
+  const reached = (i) => (eng.closed[i] || eng.inOpen[i]) && Number.isFinite(values[i]);
+  let lo = Infinity; let hi = -Infinity;
+  for (let i = 0; i < values.length; i++) if (reached(i)) { lo = Math.min(lo, values[i]); hi = Math.max(hi, values[i]); }
+  if (lo > hi) return null;
+  return { values, lo, hi, at: (i) => (reached(i) ? (hi > lo ? (values[i] - lo) / (hi - lo) : 0) : -1) };
+}
+
+// Short arrows from each reached cell toward the cell it was reached from
+function drawParentArrows(ctx, eng, { cell, ox, oy }) {
+  if (!eng.came || cell < 8) return;
+  const len = cell * 0.38; const head = Math.max(2, cell * 0.14);
+  ctx.strokeStyle = "rgba(15,23,42,0.6)"; ctx.lineWidth = Math.max(1, cell / 14);
+  ctx.beginPath();
+  for (let i = 0; i < eng.came.length; i++) {
+    const p = eng.came[i];
+    if (p < 0 || !(eng.closed[i] || eng.inOpen[i])) continue;
+    const cx = ox + (i % eng.w + 0.5) * cell; const cy = oy + (Math.floor(i / eng.w) + 0.5) * cell;
+    const a = Math.atan2(Math.floor(p / eng.w) - Math.floor(i / eng.w), (p % eng.w) - (i % eng.w));
+    const tx = cx + Math.cos(a) * len; const ty = cy + Math.sin(a) * len;
+    ctx.moveTo(cx - Math.cos(a) * len * 0.5, cy - Math.sin(a) * len * 0.5); ctx.lineTo(tx, ty);
+    ctx.moveTo(tx - Math.cos(a - 0.5) * head, ty - Math.sin(a - 0.5) * head); ctx.lineTo(tx, ty);
+    ctx.lineTo(tx - Math.cos(a + 0.5) * head, ty - Math.sin(a + 0.5) * head);
   }
+  ctx.stroke();
+}
 
-  reconstructPath(end) {
-    const path = [];
-    let cur = end;
-    while (cur !== -1) { path.push(cur); cur = this.came[cur]; }
-    return path.reverse();
+// g, h and f inside each reached cell (just f on smaller cells), outlined so any fill stays readable
+function drawScoreNumbers(ctx, eng, { cell, ox, oy }) {
+  if (!eng.g || cell < NUMBER_CELL) return;
+  const all = cell >= 2 * NUMBER_CELL;
+  const short = (v) => (Number.isInteger(v) ? String(v) : Number.isFinite(v) ? v.toFixed(1) : "∞");
+  ctx.font = `${Math.floor(cell / (all ? 4.2 : 2.8))}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  ctx.textAlign = "center"; ctx.textBaseline = "middle"; ctx.lineWidth = 3; ctx.lineJoin = "round";
+  for (let i = 0; i < eng.g.length; i++) {
+    if (!(eng.closed[i] || eng.inOpen[i])) continue;
+    const cx = ox + (i % eng.w + 0.5) * cell; const cy = oy + (Math.floor(i / eng.w) + 0.5) * cell;
+    const lines = all ? [`g${short(eng.g[i])}`, `h${short(eng.hScore[i])}`, `f${short(eng.f[i])}`] : [short(eng.f[i])];
+    lines.forEach((text, k) => {
+      const y = cy + (k - (lines.length - 1) / 2) * cell * 0.27;
+      ctx.strokeStyle = "rgba(255,255,255,0.85)"; ctx.strokeText(text, cx, y);
+      ctx.fillStyle = "#0f172a"; ctx.fillText(text, cx, y);
+    });
   }
+  ctx.textAlign = "start"; ctx.textBaseline = "alphabetic"; ctx.lineJoin = "miter";
 }
 
-// BFS to check if a path exists (used to guarantee solvable obstacle layouts)
-function pathExists(w, h, obstacles) {
-  const start = 0; const goal = w * h - 1;
-  if (obstacles[start] || obstacles[goal]) return false;
-  const q = [start]; const seen = new Uint8Array(w * h); seen[start] = 1;
-  while (q.length) {
-    const i = q.shift(); if (i === goal) return true;
-    const x = i % w; const y = (i / w) | 0;
-    if (x > 0) { const j = i - 1; if (!seen[j] && !obstacles[j]) { seen[j] = 1; q.push(j); } }
-    if (x < w - 1) { const j = i + 1; if (!seen[j] && !obstacles[j]) { seen[j] = 1; q.push(j); } }
-    if (y > 0) { const j = i - w; if (!seen[j] && !obstacles[j]) { seen[j] = 1; q.push(j); } }
-    if (y < h - 1) { const j = i + w; if (!seen[j] && !obstacles[j]) { seen[j] = 1; q.push(j); } }
-  }
-  return false;
+// --- Race mode ----------------------------------------------------------------
+// Two or four engines search the same terrain array in lockstep, one tiled pane each.
+const RACE_LABEL_H = 20; // label bar above each pane's grid
+
+// Pane rects: two side by side, four as a 2×2 grid
+function racePanes(count) {
+  const rows = count > 2 ? 2 : 1;
+  const w = CANVAS_W / 2; const h = CANVAS_H / rows;
+  return Array.from({ length: count }, (_, k) => ({ x: (k % 2) * w, y: Math.floor(k / 2) * h, w, h }));
 }
 
-function generateObstacles(w, h, density, seedStr, guaranteeSolvable) {
-  let rng = rngFromSeed(seedStr);
-  const maxTries = guaranteeSolvable ? 120 : 1;
-  for (let attempt = 0; attempt < maxTries; attempt++) {
-    const walls = new Uint8Array(w * h);
-    for (let i = 0; i < w * h; i++) walls[i] = 0;
-    const start = 0; const goal = w * h - 1;
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = y * w + x;
-        if (i === start || i === goal) continue;
-        if (rng() < density) walls[i] = 1;
-      }
+// Grid area inside a pane, below its label bar
+function paneGridRect(pane) {
+  return { x: pane.x + 4, y: pane.y + RACE_LABEL_H + 2, w: pane.w - 8, h: pane.h - RACE_LABEL_H - 6 };
+}
+
+// --- Large-grid rendering ---------------------------------------------------
+// "#rrggbb" → [r, g, b]
+function hexRgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [v >> 16, (v >> 8) & 255, v & 255];
+}
+
+// "rgba(r,g,b,a)" or "#rrggbb" → [r, g, b, a]
+function rgbaParts(css) {
+  if (css.startsWith("#")) return [...hexRgb(css), 1];
+  const [r, g, b, a = 1] = css.slice(css.indexOf("(") + 1, -1).split(",").map(Number);
+  return [r, g, b, a];
+}
+
+const TERRAIN_RGB = TERRAIN.map((t) => hexRgb(t.color));
+
+// One pixel per cell in an offscreen buffer, then a single scaled drawImage: O(cells)
+// typed-array writes per frame instead of a fillRect per cell. Same colors as the vector path.
+function drawCellImage(ctx, eng, layout, pathRuns, buffer, heatmap, colors) {
+  const { w, h } = eng;
+  if (!buffer.canvas || buffer.canvas.width !== w || buffer.canvas.height !== h) {
+    buffer.canvas = document.createElement("canvas");
+    buffer.canvas.width = w; buffer.canvas.height = h;
+    buffer.image = buffer.canvas.getContext("2d").createImageData(w, h);
+  }
+  const data = buffer.image.data;
+  const { terrain, closed, inOpen, reopened, closedB, inOpenB, scanned } = eng;
+  const [cr, cg, cb, ca] = rgbaParts(colors.closed); const [or, og, ob, oa] = rgbaParts(colors.open);
+  for (let i = 0; i < w * h; i++) {
+    let [r, g, b] = TERRAIN_RGB[terrain[i]];
+    if (terrain[i] !== WALL) {
+      if (scanned && scanned[i] && !closed[i] && !inOpen[i]) { r += (255 - r) * 0.22; g += (196 - g) * 0.22; b *= 0.78; } // rgba(255,196,0,0.22)
+      if (scanned && (closed[i] || inOpen[i])) { r = 0x7c; g = 0x3a; b = 0xed; } // jump point #7c3aed
+      else if (closed[i]) { r += (cr - r) * ca; g += (cg - g) * ca; b += (cb - b) * ca; }
+      if (closedB && closedB[i]) { r *= 0.88; g += (110 - g) * 0.12; b += (70 - b) * 0.12; } // rgba(0,110,70,0.12)
+      if (inOpenB && inOpenB[i]) { r += (40 - r) * 0.35; g += (200 - g) * 0.35; b += (140 - b) * 0.35; } // rgba(40,200,140,0.35)
+      if (reopened && reopened[i] && inOpen[i]) { r += (230 - r) * 0.45; g += (60 - g) * 0.45; b += (200 - b) * 0.45; } // rgba(230,60,200,0.45)
+      else if (inOpen[i]) { r += (or - r) * oa; g += (og - g) * oa; b += (ob - b) * oa; }
+    }
+    const k = 4 * i;
+    data[k] = r; data[k + 1] = g; data[k + 2] = b; data[k + 3] = 255;
+  }
+  const heat = heatScale(eng, heatmap);
+  if (heat) {
+    for (let i = 0; i < w * h; i++) {
+      const t = heat.at(i); if (t < 0) continue;
+      const [r, g, b] = heatRgb(t); const k = 4 * i; // alpha 0.75
+      data[k] += (r - data[k]) * 0.75; data[k + 1] += (g - data[k + 1]) * 0.75; data[k + 2] += (b - data[k + 2]) * 0.75;
+    }
+  }
+  if (eng.seen) {
+    for (let i = 0; i < w * h; i++) {
+      if (eng.seen[i]) continue;
+      const k = 4 * i; // rgba(30,36,56,0.78)
+      data[k] += (30 - data[k]) * 0.78; data[k + 1] += (36 - data[k + 1]) * 0.78; data[k + 2] += (56 - data[k + 2]) * 0.78;
     }
-    if (!guaranteeSolvable || pathExists(w, h, walls)) {
-      return { walls, seed: seedStr, attempts: attempt + 1 };
+    pathRuns = [[eng.trail, "#f4a259"], ...(eng.plan ? [[eng.plan.slice(eng.planAt + 1), "#22d3ee"]] : []), ...pathRuns];
+  }
+  for (const [path, color] of pathRuns) {
+    const [r, g, b] = hexRgb(color);
+    for (const i of path) { data[4 * i] = r; data[4 * i + 1] = g; data[4 * i + 2] = b; }
+  }
+  if (eng.current >= 0) { const k = 4 * eng.current; [data[k], data[k + 1], data[k + 2]] = hexRgb(colors.current); }
+  buffer.canvas.getContext("2d").putImageData(buffer.image, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(buffer.canvas, layout.ox, layout.oy, layout.gw, layout.gh);
+  ctx.imageSmoothingEnabled = true;
+}
+
+// --- Recording ---------------------------------------------------------------------
+// WebCodecs encodes each frame with its own timestamp; failing that, MediaRecorder can encode a
+// canvas stream (stamped as frames arrive); otherwise recordings fall back to PNG frames
+const CAN_ENCODE_WEBM = typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+const CAN_STREAM_WEBM = typeof MediaRecorder !== "undefined" && typeof HTMLCanvasElement !== "undefined" && "captureStream" in HTMLCanvasElement.prototype;
+const CAN_RECORD_WEBM = CAN_ENCODE_WEBM || CAN_STREAM_WEBM;
+const WEBM_CODECS = [["vp09.00.10.08", "V_VP9"], ["vp8", "V_VP8"]]; // WebCodecs string, WebM codec ID
+
+// Opening frames of a recording: what searches, and the seed and settings that rebuild the map
+function drawTitleCard(ctx, lines, scale) {
+  ctx.save(); ctx.scale(scale, scale);
+  ctx.fillStyle = "#0b1020"; ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#ffffff"; ctx.font = "600 30px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+  ctx.fillText(lines[0], CANVAS_W / 2, CANVAS_H / 2 - 30);
+  ctx.fillStyle = "#aab1c3"; ctx.font = "18px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+  lines.slice(1).forEach((text, k) => ctx.fillText(text, CANVAS_W / 2, CANVAS_H / 2 + 14 + k * 28));
+  ctx.restore();
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Frame k of `total` is stamped k/fps, so the video's timing comes from the schedule alone.
+// Resolves to the WebM blob, null when cancelled, or undefined when no codec is available.
+async function encodeWebm({ canvas, total, fps, bitrate, render, onFrame, job }) {
+  let codec = null;
+  for (const [name, id] of WEBM_CODECS) {
+    const config = { codec: name, width: canvas.width, height: canvas.height, bitrate, framerate: fps };
+    if ((await VideoEncoder.isConfigSupported(config)).supported) { codec = { id, config }; break; }
+  }
+  if (!codec) return undefined;
+  const frames = []; let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => { const data = new Uint8Array(chunk.byteLength); chunk.copyTo(data); frames.push({ data, timestamp: chunk.timestamp, key: chunk.type === "key" }); },
+    error: (e) => { failure = e; },
+  });
+  try {
+    encoder.configure(codec.config);
+    for (let k = 0; k < total && !job.cancelled && !failure; k++) {
+      render(k);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(k * 1e6 / fps), duration: Math.round(1e6 / fps) });
+      encoder.encode(frame, { keyFrame: k % (2 * fps) === 0 }); frame.close();
+      onFrame(k + 1);
+      do await sleep(0); while (encoder.encodeQueueSize > 8 && !failure); // let the encoder keep up
     }
-    seedStr = seedStr + "*"; // tweak seed and try again
-    rng = rngFromSeed(seedStr);
+    if (failure) throw failure;
+    if (job.cancelled) return null;
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== "closed") encoder.close();
   }
-  return { walls: new Uint8Array(w * h), seed: seedStr, attempts: maxTries };
+  return new Blob([webmMux({ width: canvas.width, height: canvas.height, fps, codec: codec.id, frames })], { type: "video/webm" });
+}
+
+// MediaRecorder stamps frames as they arrive, so each is handed over at its slot t0 + k/fps;
+// frames that take longer than a slot to draw still arrive late. null when cancelled.
+async function streamWebm({ canvas, total, fps, bitrate, render, onFrame, job }) {
+  const stream = canvas.captureStream(0); const track = stream.getVideoTracks()[0];
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) => MediaRecorder.isTypeSupported(t));
+  const chunks = [];
+  try {
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise((resolve, reject) => { recorder.onstop = resolve; recorder.onerror = (e) => reject(e.error ?? new Error("The video encoder failed.")); });
+    recorder.start();
+    const t0 = performance.now();
+    for (let k = 0; k < total && !job.cancelled; k++) {
+      render(k); track.requestFrame(); onFrame(k + 1);
+      await sleep(Math.max(0, t0 + (k + 1) * 1000 / fps - performance.now()));
+    }
+    recorder.stop(); await stopped;
+  } finally {
+    track.stop();
+  }
+  return job.cancelled ? null : new Blob(chunks, { type: "video/webm" });
+}
+
+// --- Worker jobs -------------------------------------------------------------------
+// Layout generation and runs played to the end go to pathfinding.worker.mjs, so the page keeps
+// drawing and can show progress; without Worker (server rendering) they run inline.
+const CAN_USE_WORKER = typeof Worker !== "undefined";
+const WORKER_MIN_CELLS = 128 * 128; // generate grids this large in the worker even without retries
+
+// "6 steps/sec", "5 steps/frame" or "Instant" (see SPEEDS)
+function speedLabel(speed) {
+  if (!Number.isFinite(speed)) return "Instant";
+  if (speed <= 30) return `${speed} step${speed === 1 ? "" : "s"}/sec`;
+  const perFrame = Math.max(1, Math.round(speed / 60));
+  return `${perFrame} step${perFrame === 1 ? "" : "s"}/frame`;
+}
+
+// --- Benchmark panel ------------------------------------------------------------
+// Save text as a file through a temporary object URL
+function downloadText(filename, text, type) { downloadBlob(filename, new Blob([text], { type })); }
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const SERIES_COLORS = ["#60a5fa", "#f472b6", "#34d399", "#fbbf24", "#a78bfa", "#f87171", "#22d3ee", "#a3e635"];
+
+// Mean expansions vs density, one line per (size, algorithm, heuristic)
+function BenchmarkChart({ summary }) {
+  const W = 640, H = 240, L = 56, R = 12, T = 12, B = 32;
+  const series = new Map();
+  for (const r of summary) {
+    const key = `${ALGORITHMS[r.algorithm].label}${r.heuristic === "-" ? "" : ` (${HEURISTICS[r.heuristic].label})`} ${r.size}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push([r.density, r.meanExpanded]);
+  }
+  const xs = summary.map((r) => r.density); const yMax = Math.max(1, ...summary.map((r) => r.meanExpanded));
+  const xMin = Math.min(...xs); const xMax = Math.max(...xs);
+  const px = (x) => L + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (W - L - R);
+  const py = (y) => T + (1 - y / yMax) * (H - T - B);
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((k) => k * yMax);
+  return (
+    <div className="space-y-2">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full max-w-[640px]" role="img" aria-label="Mean nodes expanded versus obstacle density">
+        {yTicks.map((y) => (
+          <g key={y}>
+            <line x1={L} x2={W - R} y1={py(y)} y2={py(y)} stroke="#334155" strokeWidth="1" />
+            <text x={L - 6} y={py(y) + 4} fill="#94a3b8" fontSize="11" textAnchor="end">{Math.round(y)}</text>
+          </g>
+        ))}
+        {[...new Set(xs)].map((x) => (
+          <text key={x} x={px(x)} y={H - B + 16} fill="#94a3b8" fontSize="11" textAnchor="middle">{Math.round(x * 100)}%</text>
+        ))}
+        <text x={(L + W - R) / 2} y={H - 2} fill="#94a3b8" fontSize="11" textAnchor="middle">obstacle density</text>
+        {[...series.entries()].map(([key, pts], k) => {
+          const color = SERIES_COLORS[k % SERIES_COLORS.length];
+          const sorted = [...pts].sort((a, b) => a[0] - b[0]);
+          return (
+            <g key={key}>
+              <polyline fill="none" stroke={color} strokeWidth="2" points={sorted.map(([x, y]) => `${px(x)},${py(y)}`).join(" ")} />
+              {sorted.map(([x, y]) => <circle key={x} cx={px(x)} cy={py(y)} r="3" fill={color} />)}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-300">
+        {[...series.keys()].map((key, k) => (
+          <span key={key} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: SERIES_COLORS[k % SERIES_COLORS.length] }} />{key}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Batch runs over seeded layouts (no animation). Movement, generator and ε come from the demo's settings.
+function BenchmarkPanel({ movement, generator, weight }) {
+  const [sizes, setSizes] = useState("64x36");
+  const [densities, setDensities] = useState("0.1, 0.2, 0.3");
+  const [seedCount, setSeedCount] = useState(10);
+  const [algorithms, setAlgorithms] = useState(["astar", "dijkstra", "greedy"]);
+  const [heuristics, setHeuristics] = useState(["manhattan"]);
+  const [guarantee, setGuarantee] = useState(false);
+  const [status, setStatus] = useState({ running: false, done: 0, total: 0, error: "" });
+  const [result, setResult] = useState(null); // { config, runs, summary }
+  const abortRef = useRef(null);
+
+  const toggle = (list, set, id) => set(list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+
+  async function run() {
+    let config;
+    try {
+      config = validateBenchmark({
+        sizes: parseSizeList(sizes), densities: densities.split(",").map((d) => d.trim()).filter(Boolean).map(Number),
+        seeds: seedList("bench", seedCount), algorithms, heuristics, movement, generator, guarantee, weight,
+      });
+    } catch (e) {
+      setStatus({ running: false, done: 0, total: 0, error: e.message }); return;
+    }
+    const controller = new AbortController(); abortRef.current = controller;
+    setStatus({ running: true, done: 0, total: 0, error: "" });
+    const runs = await runBenchmark(config, { signal: controller.signal, onProgress: (done, total) => setStatus((s) => ({ ...s, done, total })) });
+    abortRef.current = null;
+    setStatus((s) => ({ ...s, running: false }));
+    setResult({ config, runs, summary: summarizeBenchmark(runs) });
+  }
+
+  const num = (v) => (v === null ? "—" : fmt(v));
+  return (
+    <details className="w-full max-w-[1400px] bg-slate-900/60 rounded-2xl p-4 shadow-lg">
+      <summary className="cursor-pointer text-sm font-semibold">Benchmark (batch runs, no animation)</summary>
+      <div className="mt-3 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+          <label className="space-y-1"><span className="opacity-90">Grid sizes (WxH, comma-separated)</span>
+            <input className="w-full rounded-lg bg-slate-900 px-3 py-2" value={sizes} onChange={(e) => setSizes(e.target.value)} /></label>
+          <label className="space-y-1"><span className="opacity-90">Densities (0–1, comma-separated)</span>
+            <input className="w-full rounded-lg bg-slate-900 px-3 py-2" value={densities} onChange={(e) => setDensities(e.target.value)} /></label>
+          <label className="space-y-1"><span className="opacity-90">Seeds per setting</span>
+            <input type="number" min={1} max={500} className="w-full rounded-lg bg-slate-900 px-3 py-2" value={seedCount} onChange={(e) => setSeedCount(Math.max(1, Math.min(500, parseInt(e.target.value) || 1)))} /></label>
+        </div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+          {Object.entries(ALGORITHMS).map(([id, { label }]) => (
+            <label key={id} className="flex items-center gap-1"><input type="checkbox" checked={algorithms.includes(id)} onChange={() => toggle(algorithms, setAlgorithms, id)} />{label}</label>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+          {Object.entries(HEURISTICS).map(([id, { label }]) => (
+            <label key={id} className="flex items-center gap-1"><input type="checkbox" checked={heuristics.includes(id)} onChange={() => toggle(heuristics, setHeuristics, id)} />h = {label}</label>
+          ))}
+          <label className="flex items-center gap-1"><input type="checkbox" checked={guarantee} onChange={(e) => setGuarantee(e.target.checked)} />Only solvable layouts</label>
+        </div>
+        <p className="text-xs text-slate-400">Uses the current movement ({MOVEMENTS[movement].label}), generator ({GENERATORS[generator].label}) and ε. Seeds are bench-1 … bench-{seedCount}; the CLI (node benchmark-cli.mjs) runs the same sweep.</p>
+        <div className="flex flex-wrap items-center gap-2">
+          {status.running
+            ? <button className="px-4 py-2 rounded-xl bg-rose-600 text-sm" onClick={() => abortRef.current && abortRef.current.abort()}>Cancel</button>
+            : <button className="px-4 py-2 rounded-xl bg-indigo-600 text-sm" onClick={run}>Run benchmark</button>}
+          <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" disabled={!result} onClick={() => downloadText("a-star-benchmark.csv", toCsv(result.runs), "text/csv")}>Export CSV</button>
+          <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" disabled={!result} onClick={() => downloadText("a-star-benchmark.json", JSON.stringify(result, null, 1), "application/json")}>Export JSON</button>
+          {status.total > 0 && <span className="text-xs text-slate-400">{status.done}/{status.total} layouts{status.running ? "…" : ""}</span>}
+        </div>
+        {status.error && <div className="rounded-lg border border-rose-500/60 bg-rose-500/10 p-2 text-xs text-rose-200" role="alert">⚠ {status.error}</div>}
+        {result && result.summary.length > 0 && (
+          <>
+            <BenchmarkChart summary={result.summary} />
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead className="text-slate-400 text-left">
+                  <tr>{["Size", "Density", "Algorithm", "h", "Runs", "Solvable", "Mean exp.", "Median exp.", "Mean cost", "Median cost", "Mean ms", "Median ms"].map((c) => <th key={c} className="py-1 pr-3">{c}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {result.summary.map((r) => (
+                    <tr key={[r.size, r.density, r.algorithm, r.heuristic].join("|")}>
+                      <td className="py-0.5 pr-3">{r.size}</td><td className="pr-3">{Math.round(r.density * 100)}%</td>
+                      <td className="pr-3">{ALGORITHMS[r.algorithm].label}</td><td className="pr-3">{r.heuristic === "-" ? "—" : HEURISTICS[r.heuristic].label}</td>
+                      <td className="pr-3">{r.runs}</td><td className="pr-3">{Math.round(r.solvableRate * 100)}%</td>
+                      <td className="pr-3">{num(r.meanExpanded)}</td><td className="pr-3">{num(r.medianExpanded)}</td>
+                      <td className="pr-3">{num(r.meanCost)}</td><td className="pr-3">{num(r.medianCost)}</td>
+                      <td className="pr-3">{num(r.meanMs)}</td><td className="pr-3">{num(r.medianMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </details>
+  );
 }
 
 export default function AStarPathfindingDemo() {
   const dpr = typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
   const canvasRef = useRef(null);
 
+  // A shared link (URL hash) overrides the defaults below
+  const [shared] = useState(() => (typeof window !== "undefined" ? parseShareHash(window.location.hash) : {}));
+
   // Grid settings (16:9 friendly defaults)
-  const [gridW, setGridW] = useState(64);
-  const [gridH, setGridH] = useState(36);
-  const [density, setDensity] = useState(0.22);
-  const [seed, setSeed] = useState("dr-knowitall-a-star");
-  const [guarantee, setGuarantee] = useState(true);
+  const [gridW, setGridW] = useState(shared.gridW ?? 64);
+  const [gridH, setGridH] = useState(shared.gridH ?? 36);
+  const [density, setDensity] = useState(shared.density ?? 0.22);
+  const [seed, setSeed] = useState(shared.seed ?? "dr-knowitall-a-star");
+  const [guarantee, setGuarantee] = useState(shared.guarantee ?? true);
+  const [terrainOn, setTerrainOn] = useState(shared.terrainOn ?? false); // noise-based terrain patches
+  const [generator, setGenerator] = useState(shared.generator ?? "noise"); // key into GENERATORS
+  const [brush, setBrush] = useState(WALL); // terrain code painted by clicks, or "waypoint"
+  const [tool, setTool] = useState("pen"); // "pen" (freehand), "line" or "rect"
+  const [brushSize, setBrushSize] = useState(1); // side of the square brush, in cells
+
+  // Imported map files: a pinned terrain replaces the generator until discarded
+  const [imported, setImported] = useState(null); // { name, w, h, terrain }
+  const [scenarios, setScenarios] = useState(null); // { name, list, index } from a Moving AI .scen
+  const [fileError, setFileError] = useState("");
+  const fileInputRef = useRef(null);
+
+  // Endpoints as [x, y]; null = default corner. Clamped into the grid when it shrinks.
+  const [start, setStart] = useState(shared.start ?? null);
+  const [goal, setGoal] = useState(shared.goal ?? null);
+  const clampXY = ([x, y]) => [Math.min(x, gridW - 1), Math.min(y, gridH - 1)];
+  let startXY = start ? clampXY(start) : [0, 0];
+  let goalXY = goal ? clampXY(goal) : [gridW - 1, gridH - 1];
+  if (startXY[0] === goalXY[0] && startXY[1] === goalXY[1]) { startXY = [0, 0]; goalXY = [gridW - 1, gridH - 1]; }
+  const startIdx = startXY[1] * gridW + startXY[0];
+  const goalIdx = goalXY[1] * gridW + goalXY[0];
+
+  // Waypoints as [x, y] in placement order; they act as extra goals ("nearest") or tour stops ("tour")
+  const [goalMode, setGoalMode] = useState(shared.goalMode ?? "single");
+  const [waypoints, setWaypoints] = useState(shared.waypoints ?? []);
+  const waypointIdxs = waypoints
+    .filter(([x, y]) => x < gridW && y < gridH)
+    .map(([x, y]) => y * gridW + x)
+    .filter((i) => i !== startIdx && i !== goalIdx);
+  const waypointKey = waypointIdxs.join(",");
 
   // Simulation state
   const [running, setRunning] = useState(false);
-  const [speed, setSpeed] = useState(6); // steps per second
+  const [speed, setSpeed] = useState(shared.speed ?? 6); // steps per second
   const [attempts, setAttempts] = useState(1);
+  const [timeline, setTimeline] = useState({ first: 0, iter: 0, furthest: 0 }); // mirrors the engine for the slider
+
+  // Search settings
+  const [algorithm, setAlgorithm] = useState(shared.algorithm ?? "astar");
+  const [weight, setWeight] = useState(shared.weight ?? 1.5); // ε for Weighted A*
+  const [movement, setMovement] = useState(shared.movement ?? "4");
+  const [heuristic, setHeuristic] = useState(shared.heuristic ?? "manhattan");
+
+  // Race mode: raceCount engines (1 = off); pane 1 runs `algorithm`, the others raceAlgs in order
+  const [raceCount, setRaceCount] = useState(shared.agent ? 1 : shared.raceCount ?? 1);
+  const [raceAlgs, setRaceAlgs] = useState(shared.raceAlgs ?? ["dijkstra", "greedy", "bfs"]);
+  const raceIds = [algorithm, ...raceAlgs].slice(0, raceCount);
+  const raceKey = raceIds.join(",");
+  const admissible = heuristicAdmissible(heuristic, movement);
+
+  // Fog-of-war agent: a robot that only senses walls within `sensor` cells and replans (single goal, no race)
+  const [agent, setAgent] = useState(shared.agent ?? false);
+  const [sensor, setSensor] = useState(shared.sensor ?? 3);
 
   const [engine, setEngine] = useState(null);
   const engineRef = useRef(null);
   const timestampRef = useRef(0);
   const accRef = useRef(0);
-
-  // Derived: cellSize and offsets to center the grid
-  const layout = useMemo(() => {
-    const cell = Math.floor(Math.min(CANVAS_W / gridW, CANVAS_H / gridH));
-    const gw = cell * gridW; const gh = cell * gridH;
-    const ox = Math.floor((CANVAS_W - gw) / 2);
-    const oy = Math.floor((CANVAS_H - gh) / 2);
-    return { cell, ox, oy, gw, gh };
-  }, [gridW, gridH]);
+  const dragRef = useRef(null); // { which: "start" | "goal", cell } while dragging an endpoint
+  const strokeRef = useRef(null); // { tool, code, from, to, cells } while a paint stroke is held down
+  const historyRef = useRef(new EditHistory()); // undo/redo of terrain edits on the current layout
+  const [undoable, setUndoable] = useState({ canUndo: false, canRedo: false }); // mirrors historyRef for the buttons
+  const hoverRef = useRef(null); // { cell, pane, x, y } under the pointer, for the tooltip
+  const [overlays, setOverlays] = useState(NO_OVERLAYS); // score layers drawn over the search
+  const [palette, setPalette] = useState("standard"); // key into PALETTES
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region
+  const statusRef = useRef(""); // last status announced
+  const cursorRef = useRef(-1); // keyboard cell cursor
+  const keyHandlerRef = useRef(null); // latest shortcut handler (the window listener is added once)
+  const pixelBufferRef = useRef({}); // offscreen image for large grids
+  const racersRef = useRef([]); // every engine on screen; racersRef.current[0] is engineRef.current
+  const raceBuffersRef = useRef([{}, {}, {}, {}]); // offscreen images per race pane
+  const baseTerrainRef = useRef(null); // the seed's layout before hand edits (links store the diff)
+  const sharedEditsRef = useRef(shared.edits ? { edits: shared.edits } : null); // applied by the first regenerate
+  const lastHashRef = useRef("");
+  const [linkNote, setLinkNote] = useState("");
+  const [linkOmitsEdits, setLinkOmitsEdits] = useState(false); // edits past SHARE_EDITS_MAX stay out of the hash
+  const [recordOpts, setRecordOpts] = useState({ scale: 2, fps: 30, format: CAN_RECORD_WEBM ? "webm" : "png", legend: true, title: true });
+  const [recording, setRecording] = useState(null); // { frame, total } while a recording renders
+  const recordRef = useRef(null); // { cancelled } for the recording in progress
+  const [recordError, setRecordError] = useState("");
+  const [liveEdits, setLiveEdits] = useState(0); // terrain painted into incremental engines in place (refreshes the link)
+  const [job, setJob] = useState(null); // { kind: "generate" | "solve", done, total } while the worker runs one
+  const jobRef = useRef(null); // { id, kind, onDone, inline, onCancel } of that job
+  const jobIdRef = useRef(0);
+  const workerRef = useRef(null); // started on first use; terminated to cancel a job
+  const workerFailedRef = useRef(false); // the worker couldn't load: every job runs inline
+  const specsRef = useRef([]); // engineFromSpec() specs of racersRef.current, for the worker
+  const buildEngineRef = useRef(null); // latest buildEngine, for jobs that finish after a re-render
+
+  // Derived: cellSize and offsets to center the grid (fractional below PIXEL_CELL px per cell)
+  const layout = useMemo(() => fitGrid(gridW, gridH, { x: 0, y: 0, w: CANVAS_W, h: CANVAS_H }), [gridW, gridH]);
+  const panes = useMemo(() => (raceCount > 1 ? racePanes(raceCount) : []), [raceCount]);
+  const paneLayouts = useMemo(() => panes.map((pane) => fitGrid(gridW, gridH, paneGridRect(pane))), [panes, gridW, gridH]);
+
+  // Worker jobs, one at a time: a newer job or Cancel terminates the worker mid-job (the next job
+  // starts a fresh one). Without Worker support, or once the worker has failed to load, jobs run
+  // inline instead.
+  const stopWorker = React.useCallback(() => {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null; jobRef.current = null; setJob(null);
+  }, []);
+  const startJob = React.useCallback((kind, message, handlers) => {
+    if (jobRef.current) stopWorker();
+    if (!CAN_USE_WORKER || workerFailedRef.current) { handlers.inline(); return; }
+    if (!workerRef.current) {
+      const worker = new Worker(new URL("./pathfinding.worker.mjs", import.meta.url), { type: "module" });
+      worker.onmessage = ({ data }) => {
+        const current = jobRef.current;
+        if (!current || data.id !== current.id) return; // a cancelled job's last words
+        if (data.type === "progress") { setJob({ kind: current.kind, done: data.done, total: data.total }); return; }
+        jobRef.current = null; setJob(null);
+        if (data.type === "error") current.inline(); else current.onDone(data);
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        const current = jobRef.current;
+        workerFailedRef.current = true; stopWorker();
+        if (current) current.inline();
+      };
+      workerRef.current = worker;
+    }
+    const id = ++jobIdRef.current;
+    jobRef.current = { id, kind, ...handlers };
+    setJob({ kind, done: 0, total: null });
+    workerRef.current.postMessage({ id, type: kind, ...message });
+  }, [stopWorker]);
+  function cancelJob() {
+    const current = jobRef.current; if (!current) return;
+    stopWorker();
+    if (current.onCancel) current.onCancel();
+  }
+  useEffect(() => stopWorker, [stopWorker]);
+
+  // (Re)build the active engine over a terrain map (endpoints and waypoints always stay passable)
+  const buildEngine = React.useCallback((terrain) => {
+    const waypointList = waypointKey ? waypointKey.split(",").map(Number) : [];
+    const marks = [startIdx, goalIdx, ...waypointList];
+    if (marks.some((i) => terrain[i] === WALL)) {
+      terrain = terrain.slice(); for (const i of marks) if (terrain[i] === WALL) terrain[i] = ROAD;
+    }
+    const specFor = (algorithm) => {
+      const options = { weight, movement, heuristic, start: startIdx, goal: goalIdx };
+      if (agent) return { algorithm, options: { ...options, radius: sensor }, agent: true };
+      if (goalMode === "tour" && waypointList.length) return { algorithm, options, stops: [startIdx, ...waypointList, goalIdx] };
+      if (goalMode === "nearest") options.goals = [goalIdx, ...waypointList];
+      return { algorithm, options };
+    };
+    const specs = raceKey.split(",").map(specFor);
+    const racers = specs.map((spec) => engineFromSpec(spec, gridW, gridH, terrain)); // all share one terrain array
+    const eng = racers[0];
+    if (jobRef.current && jobRef.current.kind === "solve") stopWorker(); // it was finishing the old engines
+    specsRef.current = specs; racersRef.current = racers;
+    setEngine(eng); engineRef.current = eng;
+  }, [raceKey, weight, movement, heuristic, gridW, gridH, startIdx, goalIdx, goalMode, waypointKey, agent, sensor, stopWorker]);
+  buildEngineRef.current = buildEngine;
 
   // Init or regenerate
   const regenerate = React.useCallback(() => {
-    const { walls, attempts: at } = generateObstacles(
-      gridW, gridH, density, seed, guarantee
-    );
-    const eng = new AStarEngine(gridW, gridH, walls);
-    setEngine(eng); engineRef.current = eng; setAttempts(at);
-  }, [gridW, gridH, density, seed, guarantee]);
+    const genOpts = { movement, terrain: terrainOn, start: startIdx, goal: goalIdx, generator };
+    historyRef.current.clear(); setUndoable({ canUndo: false, canRedo: false }); // edits belong to the old layout
+    if (jobRef.current) stopWorker(); // a layout still generating is out of date
+    if (imported && imported.w === gridW && imported.h === gridH) {
+      // links to an imported map carry it as edits over an unguaranteed (single-attempt) layout
+      baseTerrainRef.current = generateObstacles(gridW, gridH, density, seed, false, genOpts).terrain;
+      buildEngine(imported.terrain.slice()); setAttempts(1); return;
+    }
+    const finish = ({ terrain, attempts: at }) => {
+      baseTerrainRef.current = terrain.slice();
+      // a shared link's edits belong to the layout restored on load; StrictMode may regenerate it twice
+      const pending = sharedEditsRef.current;
+      const layoutKey = [gridW, gridH, density, seed, guarantee, movement, terrainOn, generator, startIdx, goalIdx].join("|");
+      if (pending) {
+        pending.key = pending.key ?? layoutKey;
+        if (pending.key === layoutKey) applyTerrainEdits(terrain, pending.edits); else sharedEditsRef.current = null;
+      }
+      buildEngineRef.current(terrain); setAttempts(at); // the settings may have changed since the job started
+    };
+    const generate = (solvable) => finish(generateObstacles(gridW, gridH, density, seed, solvable, genOpts));
+
+    // solvability retries and big grids take a while: generate in the worker. Cancel keeps the
+    // first layout unchecked.
+    if ((guarantee && !GENERATORS[generator].solvable) || gridW * gridH >= WORKER_MIN_CELLS) {
+      startJob("generate", { w: gridW, h: gridH, density, seed, guarantee, opts: genOpts }, {
+        onDone: finish, inline: () => generate(guarantee), onCancel: () => generate(false),
+      });
+    } else generate(guarantee);
+  }, [gridW, gridH, density, seed, guarantee, movement, terrainOn, generator, imported, startIdx, goalIdx, buildEngine, startJob, stopWorker]);
+
+  // Switching algorithm, heuristic, endpoints or waypoints restarts the search on the same terrain (hand edits survive)
+  useEffect(() => {
+    if (!engineRef.current || engineRef.current.w !== gridW || engineRef.current.h !== gridH) return;
+    buildEngine(engineRef.current.terrain); setRunning(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [raceKey, weight, heuristic, startIdx, goalIdx, goalMode, waypointKey, agent, sensor]);
 
-  useEffect(() => { regenerate(); setRunning(false); }, [gridW, gridH, density, seed, guarantee, regenerate]);
+  // Movement changes what "solvable" means, so it regenerates like the layout settings
+  useEffect(() => { regenerate(); setRunning(false); }, [gridW, gridH, density, seed, guarantee, movement, terrainOn, generator, imported]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Run quick self-tests once on mount
-  useEffect(() => { if (ENABLE_SELF_TESTS) runSelfTests(); }, []);
+  // Keep the URL hash in step with the configuration and hand edits (unless they'd make it too long)
+  useEffect(() => {
+    const eng = engineRef.current; const base = baseTerrainRef.current;
+    if (!eng || !base || base.length !== eng.terrain.length || typeof window === "undefined") return;
+    const edits = encodeTerrainEdits(base, eng.terrain);
+    setLinkOmitsEdits(edits.length > SHARE_EDITS_MAX);
+    const hash = shareHash({
+      seed, gridW, gridH, density, guarantee: guarantee && !imported, speed, generator, terrainOn, movement, algorithm, weight, heuristic,
+      goalMode, start, goal, waypoints, raceCount, raceAlgs, agent, sensor, edits: edits.length > SHARE_EDITS_MAX ? "" : edits,
+    });
+    if (hash !== lastHashRef.current) { lastHashRef.current = hash; window.history.replaceState(null, "", `#${hash}`); }
+  }, [engine, liveEdits, seed, gridW, gridH, density, guarantee, imported, speed, generator, terrainOn, movement, algorithm, weight, heuristic, goalMode, start, goal, waypoints, raceCount, raceAlgs, agent, sensor]);
+
+  // A different link pasted into the address bar doesn't reload the page by itself
+  useEffect(() => {
+    const onHashChange = () => { if (window.location.hash.replace(/^#/, "") !== lastHashRef.current) window.location.reload(); };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
-  // Animation loop for Play mode
+  // Animation loop for Play mode: up to 30 steps/sec paced by the clock, faster speeds as a
+  // fixed number of steps per frame (a slow frame doesn't pile up more), Instant via the worker
   useEffect(() => {
     let rafId; const stepInterval = 1 / Math.max(0.1, speed);
     const loop = (ts) => {
       if (!timestampRef.current) timestampRef.current = ts;
       const dt = (ts - timestampRef.current) / 1000; timestampRef.current = ts;
-      if (running && engineRef.current && !engineRef.current.finished) {
-        accRef.current += dt;
-        while (accRef.current >= stepInterval) { engineRef.current.step(); accRef.current -= stepInterval; }
+      if (running && !raceFinished()) {
+        if (!Number.isFinite(speed)) handleFinish();
+        else if (speed > 30) for (let k = Math.max(1, Math.round(speed / 60)); k > 0 && !raceFinished(); k--) stepRacers();
+        else {
+          accRef.current += dt;
+          while (accRef.current >= stepInterval) { stepRacers(); accRef.current -= stepInterval; }
+        }
+      }
+      if (engineRef.current) {
+        const first = Math.max(...racersRef.current.map((r) => r.historyStart ?? 0)); // LPA* history restarts at an edit
+        const iter = Math.max(...racersRef.current.map((r) => r.iter));
+        const furthest = Math.max(...racersRef.current.map((r) => r.furthest));
+        setTimeline((t) => (t.first === first && t.iter === iter && t.furthest === furthest ? t : { first, iter, furthest }));
       }
+      for (const r of racersRef.current) r.settle?.(SETTLE_STEPS);
       draw(); rafId = requestAnimationFrame(loop);
     };
     rafId = requestAnimationFrame(loop); return () => cancelAnimationFrame(rafId);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [running, speed, layout]);
+  }, [running, speed, layout, paneLayouts, raceKey, overlays, palette]);
+
+  // Screen-reader status: searching, paused at an iteration, or how the run ended
+  useEffect(() => {
+    if (!racersRef.current.length) return;
+    const status = finishAnnouncement(racersRef.current, raceIds)
+      ?? (running ? "Searching" : timeline.iter > timeline.first ? `Paused at iteration ${timeline.iter}` : "Ready: press Space to play");
+    if (status !== statusRef.current) { statusRef.current = status; setAnnouncement(status); }
+  }, [engine, running, timeline, raceKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Keyboard shortcuts (ignored while typing in a field; the plain keys also while a button has
+  // focus; play and stepping also during a background job, whose result would overwrite them):
+  // Space play/pause, → step, ← back, R reset, G regenerate, F finish, Esc cancel the
+  // background job, Ctrl+Z undo, Ctrl+Shift+Z or Ctrl+Y redo. The grid's own keys come first (onCanvasKeyDown).
+  keyHandlerRef.current = (e) => {
+    if (e.defaultPrevented || e.altKey || recording) return;
+    const inside = (selector) => e.target.closest && e.target.closest(selector);
+    if (inside("input, select, textarea, [contenteditable]")) return;
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      if (key === "z") handleUndo(e.shiftKey); else if (key === "y") handleUndo(true); else return;
+      e.preventDefault(); return;
+    }
+    if (inside("button, a")) return;
+    switch (e.key) {
+      case " ": if (!jobRef.current) setRunning((r) => !r); break;
+      case "ArrowRight": if (!running && !jobRef.current) handleStep(); break;
+      case "ArrowLeft": if (!running && !jobRef.current) handleStepBack(); break;
+      case "r": case "R": handleReset(); break;
+      case "g": case "G": handleRegenerate(); break;
+      case "f": case "F": handleFinish(); break;
+      case "Escape": if (!jobRef.current) return; cancelJob(); break;
+      default: return;
+    }
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const onKey = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   // Drawing -----------------------------------------------------------------
-  function draw() {
-    const canvas = canvasRef.current; if (!canvas || !engineRef.current) return;
+  // The on-screen canvas by default; recordings pass an offscreen one at their own scale and
+  // choose whether the legend goes in (the hover tooltip never does)
+  function draw({ canvas = canvasRef.current, scale = dpr, legend = true, tooltip = true } = {}) {
+    if (!canvas || !engineRef.current) return;
     const ctx = canvas.getContext("2d"); if (!ctx) return;
 
     // HiDPI
     const cssW = CANVAS_W; const cssH = CANVAS_H;
-    if (canvas.width !== Math.floor(cssW * dpr) || canvas.height !== Math.floor(cssH * dpr)) {
-      canvas.width = Math.floor(cssW * dpr); canvas.height = Math.floor(cssH * dpr);
+    if (canvas.width !== Math.floor(cssW * scale) || canvas.height !== Math.floor(cssH * scale)) {
+      canvas.width = Math.floor(cssW * scale); canvas.height = Math.floor(cssH * scale);
       canvas.style.width = cssW + "px"; canvas.style.height = cssH + "px";
     }
-    ctx.save(); ctx.scale(dpr, dpr);
+    ctx.save(); ctx.scale(scale, scale);
 
     // page background (dark so white grid pops)
     ctx.fillStyle = "#0b1020";
     ctx.fillRect(0, 0, cssW, cssH);
 
-    const { cell, ox, oy, gw, gh } = layout;
-    const eng = engineRef.current;
-
-    // grid background (white squares)
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(ox, oy, gw, gh);
+    // a new grid size is still generating in the worker: the old engine wouldn't fit the layout
+    if (engineRef.current.w !== gridW || engineRef.current.h !== gridH) { ctx.restore(); return; }
+    if (racersRef.current.length > 1) { drawRace(ctx); if (tooltip) drawTooltip(ctx); ctx.restore(); return; }
 
-    // explored (closed) overlay
-    ctx.fillStyle = "rgba(0,0,0,0.08)";
-    for (let i = 0; i < eng.closed.length; i++) {
-      if (!eng.closed[i]) continue;
-      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
-      ctx.fillRect(x, y, cell, cell);
-    }
+    const { ox, oy, gw, gh } = layout;
+    const eng = engineRef.current; const colors = PALETTES[palette];
+    drawGrid(ctx, eng, layout, pixelBufferRef.current, dragRef.current, overlays, colors);
+    if (strokeRef.current) drawStroke(ctx, strokeRef.current, layout, eng.w);
+    if (!legend) { ctx.restore(); return; }
 
-    // frontier (open set) in blue
-    ctx.fillStyle = "rgba(80,140,255,0.35)";
-    for (const i of eng.open) {
-      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
-      ctx.fillRect(x, y, cell, cell);
-    }
-
-    // obstacles in near-black
-    ctx.fillStyle = "#0b0b0f";
-    for (let i = 0; i < eng.obstacles.length; i++) {
-      if (!eng.obstacles[i]) continue;
-      const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
-      ctx.fillRect(x + 1, y + 1, cell - 2, cell - 2);
-    }
-
-    // current node (being expanded) in orange
-    if (eng.current >= 0) {
-      const cx = (eng.current % eng.w) * cell + ox; const cy = Math.floor(eng.current / eng.w) * cell + oy;
-      ctx.fillStyle = "#ff9f1a"; ctx.fillRect(cx + 2, cy + 2, cell - 4, cell - 4);
+    // Legend overlay (positioned ABOVE the grid so it never hides the maze)
+    const legendItems = [
+      ["Frontier (open)", colors.open],
+      ["Explored (closed)", colors.closed],
+      ["Current", colors.current],
+      ["Path", colors.path],
+      ["Start", colors.start],
+      ["Goal", colors.goal],
+      ["Walls", TERRAIN[WALL].color],
+    ];
+    if (eng.weighted) {
+      for (let t = WALL + 1; t < TERRAIN.length; t++) legendItems.push([`${TERRAIN[t].label} (cost ${TERRAIN[t].cost})`, TERRAIN[t].color]);
     }
-
-    // path (if finished and success) in gold
-    if (eng.finished && eng.success) {
-      ctx.fillStyle = "#ffd166";
-      for (const i of eng.path) {
-        const x = (i % eng.w) * cell + ox; const y = Math.floor(i / eng.w) * cell + oy;
-        ctx.fillRect(x + 3, y + 3, cell - 6, cell - 6);
-      }
+    if (eng.reopened) legendItems.push(["Re-opened by an edit (LPA*)", "rgba(230,60,200,0.45)"]);
+    if (eng.openB) {
+      legendItems.splice(0, 2, ["Forward frontier (from start)", colors.open], ["Forward explored", colors.closed],
+        ["Backward frontier (from goal)", "rgba(40,200,140,0.35)"], ["Backward explored", "rgba(0,110,70,0.12)"], ["Meeting node (best join)", "#ff4fd8"]);
     }
-
-    // start & goal markers
-    const startX = ox + 0 * cell; const startY = oy + 0 * cell;
-    const goalX = ox + (eng.w - 1) * cell; const goalY = oy + (eng.h - 1) * cell;
-    ctx.fillStyle = "#00d084"; ctx.fillRect(startX + 2, startY + 2, cell - 4, cell - 4); // start (green)
-    ctx.fillStyle = "#ef476f"; ctx.fillRect(goalX + 2, goalY + 2, cell - 4, cell - 4);   // goal (red)
-
-    // grid lines (subtle dark on white)
-    ctx.strokeStyle = "rgba(0,0,0,0.08)";
-    ctx.lineWidth = 1;
-    for (let x = 0; x <= eng.w; x++) {
-      const gx = ox + x * cell + 0.5; ctx.beginPath();
-      ctx.moveTo(gx, oy + 0.5); ctx.lineTo(gx, oy + gh + 0.5); ctx.stroke();
+    if (eng.seen) {
+      legendItems.splice(0, 3, ["Robot", colors.current], ["Trail walked", "#f4a259"], ["Plan (unseen = free)", "#22d3ee"], ["Fog (not sensed yet)", "rgba(30,36,56,0.78)"]);
     }
-    for (let y = 0; y <= eng.h; y++) {
-      const gy = oy + y * cell + 0.5; ctx.beginPath();
-      ctx.moveTo(ox + 0.5, gy); ctx.lineTo(ox + gw + 0.5, gy); ctx.stroke();
+    if (eng.scanned) legendItems.push(["Jump points (opened)", "#7c3aed"], ["Scanned, never opened", "rgba(255,196,0,0.22)"], ["Jump scans (last expansion)", "#ff7a00"]);
+    if (eng.stops && eng.stops.length > 2) legendItems.push(["Waypoints (in order)", "#8e5cf7"]);
+    if (eng.goals && eng.goals.length > 1) legendItems.push([`Goals (nearest of ${eng.goals.length})`, colors.goal]);
+
+    // per-leg readout for waypoint tours: "L1 34 (120 it)", two legs per line
+    const legLines = [];
+    if (eng.legs) {
+      const parts = eng.legs.map((leg, k) => `L${k + 1} ${leg.path.length ? fmt(leg.cost) : "✗"} (${leg.iter} it)`);
+      if (!eng.finished) parts.push(`L${eng.legs.length + 1} … (${eng.leg.iter} it)`);
+      for (let k = 0; k < parts.length; k += 2) legLines.push(parts.slice(k, k + 2).join("   "));
+    } else if (eng.scanned && !eng.weighted) {
+      // jump point search vs plain A* on the same map ("…" until settle() has run plain A*)
+      const base = eng.baselineExpanded;
+      const share = base === undefined ? "…" : `${base} (${base ? Math.round((100 * eng.expanded) / base) : 100}%)`;
+      legLines.push(eng.finished ? `Expanded ${eng.expanded} vs plain A* ${share}` : `Expanded ${eng.expanded} so far; plain A* needs ${base ?? "…"}`);
     }
 
-    // Legend overlay (positioned ABOVE the grid so it never hides the maze)
-    const pad = 10; const boxW = 250; const boxH = 136;
+    // status line; bidirectional engines add each side's expansions next to the open count
+    const open = eng.openB ? `${eng.open.length}+${eng.openB.length}` : eng.open.length;
+    const sides = eng.openB ? `Fwd ${eng.expandedForward} / Bwd ${eng.expandedBackward} expanded   ` : "";
+    const statusLine = `Iter: ${eng.iter}   Open: ${open}   ${sides}` +
+      (eng.finished
+        ? (eng.success ? `Status: ✓ Goal Reached (cost ${fmt(eng.cost)})` : "Status: ✗ No Path")
+        : eng.edits ? "Status: Replanning…" : "Status: Searching…");
+    const cur = eng.current;
+    const explainLine = cur >= 0 ? eng.explain(cur) : "";
+
+    // the box grows to fit its longest line
+    ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+    const textW = Math.max(...[eng.describe(), statusLine, explainLine, ...legLines].map((t) => ctx.measureText(t).width));
+    const pad = 10; const boxW = Math.min(cssW - 2 * pad, Math.max(250, textW + 20)); const boxH = 38 + legendItems.length * 20 + 26 + legLines.length * 18;
 
     // Align to the right edge of the grid where possible
     let legendX = Math.min(cssW - boxW - pad, ox + gw - boxW); legendX = Math.max(pad, legendX);
@@ -427,18 +1089,7 @@ export default function AStarPathfindingDemo() {
     ctx.fillStyle = "rgba(15,22,46,0.9)";
     ctx.fillRect(legendX, legendY, boxW, boxH);
     ctx.fillStyle = "#ffffff";
-    ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
-    ctx.fillText("A* Pathfinding (g=1, h=Manhattan)", legendX + 10, legendY + 18);
-
-    const legendItems = [
-      ["Frontier (open)", "rgba(80,140,255,0.35)"],
-      ["Explored (closed)", "rgba(0,0,0,0.08)"],
-      ["Current", "#ff9f1a"],
-      ["Path", "#ffd166"],
-      ["Start", "#00d084"],
-      ["Goal", "#ef476f"],
-      ["Walls", "#0b0b0f"],
-    ];
+    ctx.fillText(eng.describe(), legendX + 10, legendY + 18);
 
     let ly = legendY + 38;
     for (const [label, color] of legendItems) {
@@ -450,43 +1101,358 @@ export default function AStarPathfindingDemo() {
     // Details (placed with the legend) — define once and reuse
     const engInfoY = ly + 4;
     ctx.fillStyle = "#aab1c3";
-    const cur = engineRef.current.current; let g = 0, h = 0, f = 0;
-    if (cur >= 0) { g = engineRef.current.g[cur]; h = engineRef.current.hScore[cur]; f = engineRef.current.f[cur]; }
-    ctx.fillText(
-      `Iter: ${engineRef.current.iter}   Open: ${engineRef.current.open.length}   ` +
-        (engineRef.current.finished ? (engineRef.current.success ? "Status: ✓ Goal Reached" : "Status: ✗ No Path") : "Status: Searching…"),
-      legendX + 10, engInfoY
-    );
-    ctx.fillText(
-      cur >= 0 ? `Current f=g+h: ${f.toFixed(0)} = ${g.toFixed(0)} + ${h.toFixed(0)}` : "",
-      legendX + 10, engInfoY + 18
-    );
+    ctx.fillText(statusLine, legendX + 10, engInfoY);
+    ctx.fillText(explainLine, legendX + 10, engInfoY + 18);
+    legLines.forEach((line, k) => ctx.fillText(line, legendX + 10, engInfoY + 36 + k * 18));
 
+    if (tooltip) drawTooltip(ctx);
     ctx.restore();
   }
 
-  // Canvas interaction: toggle walls when paused
-  function onCanvasClick(e) {
-    if (running || !engineRef.current) return;
+  // Readout for the cell under the pointer (from the pane's own engine in a race), next to it
+  function drawTooltip(ctx) {
+    const hover = hoverRef.current; const eng = hover && racersRef.current[hover.pane];
+    if (!eng || dragRef.current || strokeRef.current || hover.cell >= eng.w * eng.h) return;
+    const { cell, ox, oy } = racersRef.current.length > 1 ? paneLayouts[hover.pane] : layout;
+    const cx = ox + (hover.cell % eng.w) * cell; const cy = oy + Math.floor(hover.cell / eng.w) * cell;
+    ctx.strokeStyle = "#0f172a"; ctx.lineWidth = 3; ctx.strokeRect(cx, cy, cell, cell); // visible on light and dark cells
+    ctx.strokeStyle = "#f8fafc"; ctx.lineWidth = 1.5; ctx.strokeRect(cx, cy, cell, cell);
+
+    const lines = eng.inspect(hover.cell);
+    ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+    const boxW = Math.max(...lines.map((t) => ctx.measureText(t).width)) + 16; const boxH = lines.length * 16 + 10;
+    let x = hover.x + 16; let y = hover.y + 16;
+    if (x + boxW > CANVAS_W - 4) x = Math.max(4, hover.x - boxW - 8);
+    if (y + boxH > CANVAS_H - 4) y = Math.max(4, hover.y - boxH - 8);
+    ctx.fillStyle = "rgba(15,22,46,0.94)"; ctx.fillRect(x, y, boxW, boxH);
+    lines.forEach((text, k) => { ctx.fillStyle = k ? "#aab1c3" : "#ffffff"; ctx.fillText(text, x + 8, y + 18 + k * 16); });
+  }
+
+  // Race panes: each engine's grid under a label bar; the winner's pane is outlined in gold
+  function drawRace(ctx) {
+    const racers = racersRef.current;
+    const { winner } = raceSummary(racers, raceIds);
+    racers.forEach((eng, k) => {
+      const pane = panes[k]; if (!pane) return;
+      drawGrid(ctx, eng, paneLayouts[k], raceBuffersRef.current[k], dragRef.current, overlays, PALETTES[palette]);
+      if (strokeRef.current) drawStroke(ctx, strokeRef.current, paneLayouts[k], eng.w);
+      const status = eng.finished ? (eng.success ? `✓ cost ${fmt(eng.cost)}` : "✗ no path") : "searching…";
+      ctx.fillStyle = "rgba(15,22,46,0.9)"; ctx.fillRect(pane.x + 4, pane.y + 2, pane.w - 8, RACE_LABEL_H - 2);
+      ctx.fillStyle = k === winner ? "#ffd166" : "#e6e9ef";
+      ctx.font = "12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto";
+      ctx.fillText(`${k === winner ? "🏆 " : ""}${ALGORITHMS[raceIds[k]].label} — ${eng.expanded} expanded · open ${eng.open.length} · ${status}`, pane.x + 10, pane.y + 15);
+      if (k === winner) {
+        const { ox, oy, gw, gh } = paneLayouts[k];
+        ctx.strokeStyle = "#ffd166"; ctx.lineWidth = 3; ctx.strokeRect(ox - 1.5, oy - 1.5, gw + 3, gh + 3);
+      }
+    });
+  }
+
+  // Canvas interaction: drag the start/goal markers, or paint the selected terrain with the
+  // pen (freehand), line or rectangle tool. A pen stroke that starts on the brush's own terrain
+  // erases back to road instead, as does the right button with any tool. The stroke is only
+  // previewed until the button comes up, then applied as one edit: one engine rebuild, or one
+  // in-place repair for incremental engines (LPA*), which alone take paint while running.
+  function hitAt(e) {
     const rect = e.currentTarget.getBoundingClientRect();
     const x = e.clientX - rect.left; const y = e.clientY - rect.top;
-    const { cell, ox, oy } = layout;
-    const gx = Math.floor((x - ox) / cell); const gy = Math.floor((y - oy) / cell);
-    if (gx < 0 || gy < 0 || gx >= gridW || gy >= gridH) return;
-    const i = gy * gridW + gx; const start = 0; const goal = gridW * gridH - 1;
-    if (i === start || i === goal) return;
+    const rects = raceCount > 1 ? paneLayouts : [layout];
+    for (let pane = 0; pane < rects.length; pane++) { // any race pane maps to the shared grid
+      const { cell, ox, oy } = rects[pane];
+      const gx = Math.floor((x - ox) / cell); const gy = Math.floor((y - oy) / cell);
+      if (gx >= 0 && gy >= 0 && gx < gridW && gy < gridH) return { cell: gy * gridW + gx, pane, x, y };
+    }
+    return { cell: -1, pane: -1, x, y };
+  }
+  function cellAt(e) { return hitAt(e).cell; }
+  function liveEditing() { return racersRef.current.every((r) => r.terrainChanged); }
 
-    // toggle
-    const walls = engineRef.current.obstacles.slice(); walls[i] = walls[i] ? 0 : 1;
+  function onCanvasMouseDown(e) {
+    const eng = engineRef.current;
+    if (recording || job || !eng) return;
+    const i = cellAt(e); if (i < 0) return;
+    if (!running && e.button === 0 && (i === startIdx || i === goalIdx)) { dragRef.current = { which: i === startIdx ? "start" : "goal", cell: i }; return; }
+    if (brush === "waypoint" || (running && !liveEditing()) || e.button > 2) return;
+    const code = e.button === 2 || (tool === "pen" && eng.terrain[i] === brush) ? ROAD : brush;
+    strokeRef.current = { tool, code, from: i, to: i, cells: new Set(tool === "rect" ? [] : brushCells(gridW, gridH, i, brushSize)) };
+  }
 
-    // rebuild engine (preserve seed text, but pause)
-    const eng = new AStarEngine(gridW, gridH, walls);
-    setEngine(eng); engineRef.current = eng; setRunning(false);
+  function onCanvasMouseMove(e) {
+    const hit = hitAt(e); const i = hit.cell;
+    hoverRef.current = i >= 0 ? hit : null;
+    const drag = dragRef.current; const stroke = strokeRef.current;
+    if (drag) {
+      // endpoints can't land on each other
+      if (i >= 0 && i !== (drag.which === "start" ? goalIdx : startIdx)) drag.cell = i;
+      e.currentTarget.style.cursor = "grabbing";
+    } else if (stroke) {
+      // the pen joins successive pointer cells with lines, so a fast drag leaves no gaps
+      if (i >= 0 && i !== stroke.to) {
+        if (stroke.tool === "pen") for (const c of lineCells(gridW, gridH, stroke.to, i, brushSize)) stroke.cells.add(c);
+        else if (stroke.tool === "line") stroke.cells = new Set(lineCells(gridW, gridH, stroke.from, i, brushSize));
+        stroke.to = i;
+      }
+    } else {
+      e.currentTarget.style.cursor = !running && (i === startIdx || i === goalIdx) ? "grab" : brush === "waypoint" ? "pointer" : "crosshair";
+    }
+  }
+
+  function onCanvasMouseUp(e) {
+    if (!engineRef.current || recording) return;
+    if (strokeRef.current) { finishStroke(); return; }
+    const drag = dragRef.current;
+    if (drag) {
+      // drop: the engine is rebuilt by the endpoint effect (a wall under the marker is cleared)
+      dragRef.current = null;
+      const xy = [drag.cell % gridW, Math.floor(drag.cell / gridW)];
+      if (drag.which === "start") setStart(xy); else setGoal(xy);
+      return;
+    }
+    if (brush === "waypoint" && e.button === 0) paintCell(cellAt(e));
+  }
+
+  function finishStroke() {
+    const stroke = strokeRef.current; if (!stroke) return;
+    strokeRef.current = null;
+    const cells = stroke.tool === "rect" ? rectCells(gridW, stroke.from, stroke.to) : stroke.cells;
+    editTerrain((terrain, keep) => paintCells(terrain, cells, stroke.code, keep));
+  }
+
+  // Apply one edit to the terrain and record it for undo: change(terrain, keep) edits the array
+  // in place (never over the endpoints and waypoints in `keep`) and returns the edit, or null.
+  // Incremental engines repair their search in place (they all share the one terrain array);
+  // the rest are rebuilt on an edited copy, paused. False if nothing changed.
+  function editTerrain(change) {
+    const eng = engineRef.current; const live = liveEditing();
+    if (!eng || recording || job || (running && !live)) return false;
+    const terrain = live ? eng.terrain : eng.terrain.slice();
+    const edit = change(terrain, [startIdx, goalIdx, ...waypointIdxs]);
+    if (!edit) return false;
+    historyRef.current.push(edit);
+    commitTerrain(terrain, edit, live);
+    return true;
+  }
+  function commitTerrain(terrain, edit, live) {
+    if (live) {
+      for (const r of racersRef.current) r.terrainChanged([...edit.cells]);
+      setLiveEdits((n) => n + 1);
+    } else {
+      buildEngine(terrain); setRunning(false);
+    }
+    setUndoable({ canUndo: historyRef.current.canUndo, canRedo: historyRef.current.canRedo });
+  }
+
+  // Undo (or redo) the last edit — a whole stroke or grid action at a time
+  function handleUndo(redo = false) {
+    const eng = engineRef.current; const live = liveEditing();
+    if (!eng || recording || job || (running && !live)) return;
+    const terrain = live ? eng.terrain : eng.terrain.slice();
+    const keep = [startIdx, goalIdx, ...waypointIdxs]; // markers may have moved onto edited cells since
+    const edit = redo ? historyRef.current.redo(terrain, keep) : historyRef.current.undo(terrain, keep);
+    if (!edit) return;
+    commitTerrain(terrain, edit, live);
+    setAnnouncement(`${redo ? "Redid" : "Undid"} an edit of ${edit.cells.length} cell${edit.cells.length === 1 ? "" : "s"}`);
+  }
+
+  // Paint the selected brush around cell i (Enter on the keyboard cursor), or toggle a waypoint
+  // there (a click with the Waypoint tool); false if nothing could change
+  function paintCell(i) {
+    if (!engineRef.current || recording || i < 0 || i === startIdx || i === goalIdx) return false;
+
+    // waypoint tool: add at the end of the tour, or remove an existing one
+    if (brush === "waypoint") {
+      if (running) return false;
+      const xy = [i % gridW, Math.floor(i / gridW)];
+      setWaypoints((list) => (list.some(([x, y]) => x === xy[0] && y === xy[1])
+        ? list.filter(([x, y]) => x !== xy[0] || y !== xy[1])
+        : [...list, xy]));
+      return true;
+    }
+
+    // paint / toggle, as a one-cell pen stroke would
+    const code = engineRef.current.terrain[i] === brush ? ROAD : brush;
+    return editTerrain((terrain, keep) => paintCells(terrain, brushCells(gridW, gridH, i, brushSize), code, keep));
+  }
+
+  // Keyboard cell cursor on the focused grid: arrows move it (Shift: 5 cells), Enter paints.
+  // The cell under it gets the hover tooltip and is read out.
+  function moveCursor(i) {
+    cursorRef.current = i;
+    const { cell, ox, oy } = raceCount > 1 ? paneLayouts[0] : layout;
+    hoverRef.current = { cell: i, pane: 0, x: ox + (i % gridW + 1) * cell, y: oy + (Math.floor(i / gridW) + 1) * cell, keyboard: true };
+    setAnnouncement(racersRef.current[0].inspect(i).join(". "));
+  }
+  function onCanvasKeyDown(e) {
+    if (!engineRef.current || e.ctrlKey || e.metaKey || e.altKey) return;
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const c = cursorRef.current >= 0 && cursorRef.current < gridW * gridH ? cursorRef.current : startIdx;
+    if (moves[e.key]) {
+      const [dx, dy] = moves[e.key]; const n = e.shiftKey ? 5 : 1;
+      const x = Math.min(gridW - 1, Math.max(0, (c % gridW) + dx * n)); const y = Math.min(gridH - 1, Math.max(0, Math.floor(c / gridW) + dy * n));
+      moveCursor(y * gridW + x);
+    } else if (e.key === "Enter") {
+      const terrain = engineRef.current.terrain;
+      const what = brush === "waypoint" ? "Waypoint toggled" : `${TERRAIN[terrain[c] === brush ? ROAD : brush].label} painted`;
+      setAnnouncement(paintCell(c) ? `${what} at (${c % gridW}, ${Math.floor(c / gridW)})` : "Can't paint here now: pause first; start and goal stay open");
+    } else return;
+    e.preventDefault();
   }
 
   // Controls
-  function handleStep() { if (!engineRef.current || engineRef.current.finished) return; engineRef.current.step(); }
+  function handleStep() { if (!raceFinished()) stepRacers(); }
+  function handleStepBack() {
+    // lockstep: only engines still at the latest iteration go back (the others finished earlier)
+    const iter = Math.max(0, ...racersRef.current.map((r) => r.iter));
+    for (const r of racersRef.current) if (r.iter === iter) r.stepBack();
+  }
   function handleReset() { regenerate(); setRunning(false); }
+  function handleRegenerate() { discardImport(); setSeed((s) => s + "#"); }
+
+  // Timeline: scrub to any recorded iteration, or replay from the beginning at the current speed
+  function handleScrub(target) { setRunning(false); for (const r of racersRef.current) seekEngine(r, target); }
+  function handleReplay() { if (!engineRef.current) return; for (const r of racersRef.current) seekEngine(r, 0); accRef.current = 0; setRunning(true); }
+
+  // All engines advance together; finished ones just sit out
+  function stepRacers() { for (const r of racersRef.current) if (!r.finished) r.step(); }
+  function raceFinished() { return racersRef.current.every((r) => r.finished); }
+
+  // Run every engine to the end in the worker, then take over its state (timeline included):
+  // the page keeps drawing meanwhile, and Cancel leaves the engines where they were. Engines
+  // that took live edits (LPA*) finish here, since a fresh run elsewhere wouldn't have them.
+  function handleFinish() {
+    const racers = racersRef.current; const eng = engineRef.current;
+    setRunning(false);
+    if (!eng || raceFinished() || recording || jobRef.current) return;
+    const inline = () => { for (const r of racers) seekEngine(r, Infinity); };
+    if (racers.some((r) => r.edits)) { inline(); return; }
+    startJob("solve", { w: eng.w, h: eng.h, terrain: eng.terrain, specs: specsRef.current }, {
+      onDone: ({ states }) => racers.forEach((r, k) => adoptEngineState(r, states[k])),
+      inline,
+    });
+  }
+
+  // Map files: export the current grid as JSON; import JSON, Moving AI .map or .scen
+  // Record: replay the run from its first iteration into an offscreen canvas, one frame per
+  // frameSchedule() entry (after an optional title card), then save it as WebM (WebCodecs, else
+  // MediaRecorder) or as a ZIP of PNG frames; failures show in the Record panel. The engines go
+  // back where they were afterwards.
+  async function handleRecord() {
+    const racers = racersRef.current;
+    if (!racers.length || recordRef.current || jobRef.current) return;
+    setRunning(false);
+    const job = { cancelled: false }; recordRef.current = job;
+    setRecordError("");
+    const { scale, fps, format, legend, title } = recordOpts;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(CANVAS_W * scale); canvas.height = Math.floor(CANVAS_H * scale);
+
+    const resume = Math.max(...racers.map((r) => r.iter));
+    const first = Math.max(...racers.map((r) => r.historyStart ?? 0));
+    for (const r of racers) seekEngine(r, Infinity); // where the run ends (stepping is deterministic)
+    const last = Math.max(...racers.map((r) => r.iter));
+    const frames = frameSchedule({ first, last, speed: Number.isFinite(speed) ? speed : Math.max(1, last - first), fps, maxSeconds: RECORD_MAX_SECONDS[format] });
+    const titleFrames = title ? 2 * fps : 0;
+    const total = titleFrames + frames.length;
+    const cardLines = [
+      raceCount > 1 ? raceIds.map((id) => ALGORITHMS[id].label).join(" vs ") : racers[0].describe(),
+      imported ? `Map "${imported.name}"` : `Seed "${seed}"`,
+      `${gridW}×${gridH} · ${imported ? "imported map" : `${GENERATORS[generator].label}, ${Math.round(density * 100)}% density`}`,
+      `${MOVEMENTS[movement].label} moves · h = ${HEURISTICS[heuristic].label}`,
+    ];
+    const render = (k) => {
+      if (k < titleFrames) { drawTitleCard(canvas.getContext("2d"), cardLines, scale); return; }
+      for (const r of racers) seekEngine(r, frames[k - titleFrames]);
+      draw({ canvas, scale, legend, tooltip: false });
+    };
+
+    try {
+      // the legend's comparison figures (JPS vs plain A*, the agent's optimum) first, in the
+      // animation loop's per-frame slices so a large map doesn't freeze the tab
+      setRecording({ frame: 0, total });
+      while (!job.cancelled && !racers.map((r) => r.settle?.(SETTLE_STEPS) ?? true).every(Boolean)) await new Promise((r) => requestAnimationFrame(r));
+      if (format === "webm") {
+        const video = { canvas, total, fps, bitrate: Math.round(6e6 * scale * scale), render, onFrame: (frame) => setRecording({ frame, total }), job };
+        let blob = CAN_ENCODE_WEBM ? await encodeWebm(video) : undefined;
+        if (blob === undefined) {
+          if (!CAN_STREAM_WEBM) throw new Error("This browser can't encode WebM video here; record PNG frames instead.");
+          blob = await streamWebm(video);
+        }
+        if (blob) downloadBlob(`${fileStem()}.webm`, blob);
+      } else {
+        const files = [];
+        for (let k = 0; k < total && !job.cancelled; k++) {
+          render(k);
+          const blob = await new Promise((r) => canvas.toBlob(r, "image/png"));
+          if (!blob) throw new Error(`The browser couldn't encode frame ${k + 1} as a PNG (try a smaller resolution).`);
+          files.push({ name: frameName(k + 1), data: new Uint8Array(await blob.arrayBuffer()) });
+          setRecording({ frame: k + 1, total });
+        }
+        if (!job.cancelled) downloadBlob(`${fileStem()}-${fps}fps.zip`, new Blob([zipStore(files)], { type: "application/zip" }));
+      }
+    } catch (e) {
+      setRecordError(`Recording failed: ${e.message || e}`);
+    } finally {
+      for (const r of racers) seekEngine(r, resume);
+      recordRef.current = null; setRecording(null);
+    }
+  }
+  function fileStem() { return `a-star-${seed.replace(/[^\w-]+/g, "_") || "grid"}`; }
+
+  function handleExport() {
+    const eng = engineRef.current; if (!eng) return;
+    const json = layoutToJson({
+      w: gridW, h: gridH, terrain: eng.terrain, start: startIdx, goal: goalIdx, seed, goalMode,
+      waypoints: waypointIdxs.map((i) => [i % gridW, Math.floor(i / gridW)]),
+    });
+    downloadText(`${fileStem()}.json`, json, "application/json");
+  }
+
+  async function handleImportFile(e) {
+    const file = e.target.files[0]; e.target.value = ""; // picking the same file again still fires
+    if (!file) return;
+    try {
+      const data = parseMapFile(await file.text());
+      if (data.kind === "scen") {
+        const wrong = data.scenarios.find((sc) => sc.mapW !== gridW || sc.mapH !== gridH);
+        if (wrong) throw new Error(`Scenarios are for a ${wrong.mapW}×${wrong.mapH} map (${wrong.map}) but the grid is ${gridW}×${gridH}; import that .map first.`);
+        setScenarios({ name: file.name, list: data.scenarios, index: 0 });
+        applyScenario(data.scenarios[0]);
+      } else {
+        setImported({ name: file.name, w: data.w, h: data.h, terrain: data.terrain });
+        setGridW(data.w); setGridH(data.h); setScenarios(null);
+        if (data.kind === "layout") {
+          setStart(data.start); setGoal(data.goal); setWaypoints(data.waypoints); setGoalMode(data.goalMode);
+          if (data.seed !== null) setSeed(data.seed);
+        } else {
+          setStart(null); setGoal(null); setWaypoints([]);
+        }
+      }
+      setFileError(""); setRunning(false);
+    } catch (err) {
+      setFileError(`${file.name}: ${err.message}`);
+    }
+  }
+
+  // Benchmark lengths assume octile moves without corner cutting
+  function applyScenario(sc) {
+    setStart(sc.start); setGoal(sc.goal); setGoalMode("single"); setMovement("8-no-corner"); setHeuristic("octile"); setRunning(false);
+  }
+
+  function selectScenario(k) {
+    if (!scenarios || !Number.isInteger(k)) return;
+    const index = Math.max(0, Math.min(scenarios.list.length - 1, k));
+    setScenarios({ ...scenarios, index }); applyScenario(scenarios.list[index]);
+  }
+
+  function handleCopyLink() {
+    const url = window.location.href;
+    const done = (note) => { setLinkNote(note); setTimeout(() => setLinkNote(""), 2500); };
+    const copied = linkOmitsEdits ? "Link copied without the map: too large to share by link" : "Link copied";
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(() => done(copied), () => done("Copy failed — use the address bar"));
+    else done("Copy failed — use the address bar");
+  }
+
+  function discardImport() { setImported(null); setScenarios(null); setFileError(""); }
 
   return (
     <div className="w-full min-h-[620px] bg-slate-950 text-slate-100 flex flex-col items-center justify-start gap-3 p-4">
@@ -499,51 +1465,351 @@ export default function AStarPathfindingDemo() {
             <button
               className={`px-4 py-2 rounded-xl shadow active:scale-95 transition ${running ? "bg-rose-600" : "bg-emerald-600"}`}
               onClick={() => setRunning((r) => !r)}
+              disabled={!!recording || !!job}
             >
-              {running ? "Pause" : "Play"}
+              {running ? "Pause" : "Play"} <span className="text-xs opacity-70">(Space)</span>
+            </button>
+            <button
+              className="px-4 py-2 rounded-xl bg-sky-600 shadow active:scale-95 transition"
+              onClick={handleStepBack}
+              disabled={running || !!recording || !!job || timeline.iter === timeline.first}
+              title={running ? "Pause to step manually" : "Undo one expansion (←)"}
+            >
+              Back
             </button>
             <button
               className="px-4 py-2 rounded-xl bg-sky-600 shadow active:scale-95 transition"
               onClick={handleStep}
-              disabled={running}
-              title={running ? "Pause to step manually" : "Step one expansion"}
+              disabled={running || !!recording || !!job}
+              title={running ? "Pause to step manually" : "Step one expansion (→)"}
             >
               Step
             </button>
-            <button className="px-4 py-2 rounded-xl bg-slate-700 shadow active:scale-95 transition" onClick={handleReset}>Reset</button>
-            <button className="px-4 py-2 rounded-xl bg-indigo-600 shadow active:scale-95 transition" onClick={() => setSeed((s) => s + "#")} title="Tweak seed and regenerate">Regenerate</button>
+            <button
+              className="px-4 py-2 rounded-xl bg-sky-800 shadow active:scale-95 transition"
+              onClick={handleFinish}
+              disabled={!engine || !!recording || !!job || racersRef.current.every((r) => r.finished)}
+              title="Run to the end in a background worker (F)"
+            >
+              Finish
+            </button>
+            <button className="px-4 py-2 rounded-xl bg-slate-700 shadow active:scale-95 transition" onClick={handleReset} title="Reset the search and this seed's layout (R)">Reset</button>
+            <button className="px-4 py-2 rounded-xl bg-indigo-600 shadow active:scale-95 transition" onClick={handleRegenerate} title="Tweak seed and regenerate (G)">Regenerate</button>
           </div>
 
+          {job && (
+            <div className="flex items-center gap-3 rounded-xl bg-slate-800/60 p-3 text-sm" role="status">
+              <span className="whitespace-nowrap">
+                {job.kind === "generate"
+                  ? `Generating${job.total > 1 ? ` (attempt ${job.done} of up to ${job.total})` : ""}…`
+                  : `Searching in the background… ${job.done.toLocaleString()} expansions`}
+              </span>
+              <progress className="flex-1" value={job.total ? job.done : undefined} max={job.total || undefined} />
+              <button className="px-3 py-1 rounded-lg bg-slate-700" onClick={cancelJob} title="Stop the background job (Esc)">Cancel</button>
+            </div>
+          )}
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+            <div className="flex items-center justify-between gap-3">
+              <label className="text-sm opacity-90">Timeline: iteration {timeline.iter} / {timeline.furthest}</label>
+              <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={handleReplay} disabled={timeline.furthest === 0 || !!recording || !!job} title="Rewind to the start and play at the current speed">Replay</button>
+            </div>
+            <input type="range" min={timeline.first} max={timeline.furthest} value={timeline.iter} onChange={(e) => handleScrub(parseInt(e.target.value))} className="w-full" disabled={!!recording || !!job} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+              <label className="text-sm opacity-90">{raceCount > 1 ? "Algorithm (pane 1)" : "Algorithm"}</label>
+              <select className="w-full rounded-lg bg-slate-900 px-3 py-2" value={algorithm} onChange={(e) => setAlgorithm(e.target.value)}>
+                {Object.entries(ALGORITHMS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              {algorithm === "lpa" && (
+                <p className="text-xs text-slate-400">
+                  Paint walls or terrain any time, even mid-run or after the path is found: LPA* re-opens only the cells the edit affects (magenta) and repairs its search from there. The timeline restarts at each edit.
+                </p>
+              )}
+              {algorithm === "jps" && (
+                <p className="text-xs text-slate-400">
+                  Opens only jump points (violet) found by straight and diagonal scans (orange lines); the legend counts its expansions against plain A* on the same map. Needs uniform cost: with grass, mud or water it runs as A*.
+                </p>
+              )}
+            </div>
+            {raceIds.includes("weighted") && (
+              <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+                <label className="text-sm opacity-90">Heuristic weight ε: {weight.toFixed(1)}</label>
+                <input type="range" min={1} max={5} step={0.1} value={weight} onChange={(e) => setWeight(parseFloat(e.target.value))} className="w-full" />
+              </div>
+            )}
+            <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+              <label className="text-sm opacity-90">Movement</label>
+              <select className="w-full rounded-lg bg-slate-900 px-3 py-2" value={movement} onChange={(e) => setMovement(e.target.value)}>
+                {Object.entries(MOVEMENTS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+            <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+              <label className="text-sm opacity-90">Heuristic</label>
+              <select className="w-full rounded-lg bg-slate-900 px-3 py-2" value={heuristic} onChange={(e) => setHeuristic(e.target.value)} disabled={!raceIds.some((id) => ALGORITHMS[id].usesHeuristic)}>
+                {Object.entries(HEURISTICS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              {!ALGORITHMS[algorithm].usesHeuristic && <p className="text-xs text-slate-400">{ALGORITHMS[algorithm].label} ignores h.</p>}
+            </div>
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <label className="text-sm opacity-90">Race mode</label>
+              <select className="rounded-lg bg-slate-900 px-3 py-1 text-sm" value={raceCount} onChange={(e) => setRaceCount(parseInt(e.target.value))} disabled={agent} title={agent ? "Turn off the agent to race" : undefined}>
+                <option value={1}>Off</option>
+                <option value={2}>2 engines</option>
+                <option value={4}>4 engines</option>
+              </select>
+            </div>
+            {raceCount > 1 && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                {raceAlgs.slice(0, raceCount - 1).map((id, k) => (
+                  <select key={k} className="rounded-lg bg-slate-900 px-2 py-1 text-sm" value={id} onChange={(e) => setRaceAlgs((list) => list.map((a, j) => (j === k ? e.target.value : a)))} aria-label={`Algorithm for pane ${k + 2}`}>
+                    {Object.entries(ALGORITHMS).map(([aid, { label }]) => <option key={aid} value={aid}>{`Pane ${k + 2}: ${label}`}</option>)}
+                  </select>
+                ))}
+              </div>
+            )}
+            {raceCount > 1 && <p className="text-xs text-slate-400">Every pane searches the same map and settings; Play, Step, Back and the timeline drive them in lockstep.</p>}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={agent} onChange={(e) => { setAgent(e.target.checked); if (e.target.checked) setRaceCount(1); }} />
+              Fog-of-war agent
+            </label>
+            {agent && (
+              <>
+                <label className="text-sm opacity-90">Sensor radius: {sensor} cell{sensor === 1 ? "" : "s"}</label>
+                <input type="range" min={1} max={20} value={sensor} onChange={(e) => setSensor(parseInt(e.target.value))} className="w-full" />
+                <p className="text-xs text-slate-400">A robot walks from start to goal seeing only the terrain within its sensor. It plans with {ALGORITHMS[algorithm].label} as if unseen cells were open road, and replans from where it stands whenever it discovers the plan is blocked or dearer than assumed. Each step is one move.</p>
+              </>
+            )}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <div className="text-sm opacity-90">Inspect <span className="text-xs text-slate-400">(hover any cell for its coordinates, state, g, h, f and parent)</span></div>
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={overlays.numbers} onChange={(e) => setOverlays((o) => ({ ...o, numbers: e.target.checked }))} />
+                Scores in cells
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={overlays.arrows} onChange={(e) => setOverlays((o) => ({ ...o, arrows: e.target.checked }))} />
+                Parent arrows
+              </label>
+              <label className="flex items-center gap-2">
+                Heatmap
+                <select className="rounded-lg bg-slate-900 px-2 py-1" value={overlays.heatmap} onChange={(e) => setOverlays((o) => ({ ...o, heatmap: e.target.value }))}>
+                  <option value="off">Off</option>
+                  <option value="g">g (cost so far)</option>
+                  <option value="f">f (priority)</option>
+                </select>
+              </label>
+            </div>
+            {(overlays.numbers || overlays.arrows) && (raceCount > 1 ? paneLayouts[0] : layout).cell < (overlays.numbers ? NUMBER_CELL : 8) && (
+              <p className="text-xs text-slate-400">Cells are too small at this grid size for {overlays.numbers ? "numbers: try 48×27 or smaller (24×13 shows g, h and f)" : "arrows: try 96×54 or smaller"}.</p>
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              Colors
+              <select className="rounded-lg bg-slate-900 px-2 py-1" value={palette} onChange={(e) => setPalette(e.target.value)}>
+                {Object.entries(PALETTES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </label>
+            {agent && (overlays.numbers || overlays.arrows || overlays.heatmap !== "off") && <p className="text-xs text-slate-400">The agent shows its trail and plan instead of search scores.</p>}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <label className="text-sm opacity-90">Record</label>
+              {recording
+                ? <button className="px-3 py-1 rounded-lg bg-rose-600 text-sm" onClick={() => { recordRef.current.cancelled = true; }}>Cancel ({recording.frame}/{recording.total})</button>
+                : <button className="px-3 py-1 rounded-lg bg-rose-700 text-sm" onClick={handleRecord} disabled={!engine || !!job}>● Record</button>}
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select className="rounded-lg bg-slate-900 px-2 py-1" value={recordOpts.scale} onChange={(e) => setRecordOpts((o) => ({ ...o, scale: parseFloat(e.target.value) }))} disabled={!!recording} aria-label="Resolution">
+                {RECORD_SCALES.map((k) => <option key={k} value={k}>{`${k}× (${CANVAS_W * k}×${CANVAS_H * k})`}</option>)}
+              </select>
+              <select className="rounded-lg bg-slate-900 px-2 py-1" value={recordOpts.fps} onChange={(e) => setRecordOpts((o) => ({ ...o, fps: parseInt(e.target.value) }))} disabled={!!recording} aria-label="Frames per second">
+                {RECORD_FPS.map((f) => <option key={f} value={f}>{f} fps</option>)}
+              </select>
+              <select className="rounded-lg bg-slate-900 px-2 py-1" value={recordOpts.format} onChange={(e) => setRecordOpts((o) => ({ ...o, format: e.target.value }))} disabled={!!recording} aria-label="Format">
+                <option value="webm" disabled={!CAN_RECORD_WEBM}>WebM video</option>
+                <option value="png">PNG frames (.zip)</option>
+              </select>
+              <label className="flex items-center gap-2"><input type="checkbox" checked={recordOpts.legend} onChange={(e) => setRecordOpts((o) => ({ ...o, legend: e.target.checked }))} disabled={!!recording} />Legend</label>
+              <label className="flex items-center gap-2"><input type="checkbox" checked={recordOpts.title} onChange={(e) => setRecordOpts((o) => ({ ...o, title: e.target.checked }))} disabled={!!recording} />Title card</label>
+            </div>
+            <p className="text-xs text-slate-400">
+              Replays the whole run from its first iteration at {Number.isFinite(speed) ? `${speed} steps per second of video` : "one second of video for the whole run (Instant)"}, frame by frame.
+              {recordOpts.format === "png" || CAN_ENCODE_WEBM
+                ? " Every frame is timed by the schedule, so the file doesn't depend on how fast this machine draws."
+                : " This browser times video frames as they're drawn: keep the tab in front, and use PNG frames if the video comes out uneven."}
+              {" "}Runs longer than {RECORD_MAX_SECONDS[recordOpts.format]} s are sped up to fit.{!CAN_RECORD_WEBM && " This browser can't encode video, so frames are saved as PNGs."}
+            </p>
+            {recordError && (
+              <div className="rounded-lg border border-rose-500/60 bg-rose-500/10 p-2 text-xs text-rose-200" role="alert">⚠ {recordError}</div>
+            )}
+          </div>
+
+          {!admissible && raceIds.some((id) => ALGORITHMS[id].usesHeuristic) && (
+            <div className="rounded-xl border border-amber-500/60 bg-amber-500/10 p-3 text-sm text-amber-200" role="alert">
+              ⚠ {HEURISTICS[heuristic].label} is <span className="font-semibold">inadmissible</span> for {MOVEMENTS[movement].label} movement: it overestimates a diagonal step (2 vs √2), so the path found is no longer guaranteed to be shortest. Try Octile, Euclidean or Chebyshev.
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
-              <label className="text-sm opacity-90">Speed (steps/sec): {speed}</label>
-              <input type="range" min={1} max={30} value={speed} onChange={(e) => setSpeed(parseInt(e.target.value))} className="w-full" />
+              <label className="text-sm opacity-90">Speed: {speedLabel(speed)}</label>
+              <input type="range" min={0} max={SPEEDS.length - 1} value={Math.max(0, SPEEDS.findIndex((v) => v >= speed))} onChange={(e) => setSpeed(SPEEDS[parseInt(e.target.value)])} className="w-full" aria-valuetext={speedLabel(speed)} />
+              {!Number.isFinite(speed) && <p className="text-xs text-slate-400">Play runs the search to the end in a background worker; scrub the timeline to watch it back.</p>}
             </div>
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
-              <label className="text-sm opacity-90">Obstacle density: {Math.round(density * 100)}%</label>
-              <input type="range" min={0} max={0.45} step={0.01} value={density} onChange={(e) => setDensity(parseFloat(e.target.value))} className="w-full" />
+              <label className="text-sm opacity-90">Generator</label>
+              <select className="w-full rounded-lg bg-slate-900 px-3 py-2" value={generator} onChange={(e) => setGenerator(e.target.value)} disabled={!!imported}>
+                {Object.entries(GENERATORS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              {GENERATORS[generator].solvable && <p className="text-xs text-slate-400">Start and goal are connected by construction.</p>}
+            </div>
+            <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
+              <label className="text-sm opacity-90">{generator === "caves" ? "Initial rock fill" : "Obstacle density"}: {Math.round(density * 100)}%</label>
+              <input type="range" min={0} max={generator === "caves" ? 0.6 : 0.45} step={0.01} value={density} onChange={(e) => setDensity(parseFloat(e.target.value))} className="w-full" disabled={!!imported || !GENERATORS[generator].usesDensity} />
+              {!GENERATORS[generator].usesDensity && <p className="text-xs text-slate-400">{GENERATORS[generator].label} ignores density.</p>}
             </div>
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
               <label className="text-sm opacity-90">Seed</label>
-              <input type="text" className="w-full rounded-lg bg-slate-900 px-3 py-2" value={seed} onChange={(e) => setSeed(e.target.value)} />
+              <input type="text" className="w-full rounded-lg bg-slate-900 px-3 py-2" value={seed} onChange={(e) => setSeed(e.target.value)} disabled={!!imported} />
               <p className="text-xs text-slate-400">Attempts to find solvable layout: {attempts}</p>
             </div>
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
               <label className="text-sm opacity-90">Grid width (16:9 friendly)</label>
-              <input type="number" min={16} max={120} value={gridW} onChange={(e) => setGridW(Math.max(16, Math.min(120, parseInt(e.target.value) || 16)))} className="w-full rounded-lg bg-slate-900 px-3 py-2" />
+              <input type="number" min={GRID_MIN_W} max={GRID_MAX} value={gridW} onChange={(e) => setGridW(Math.max(GRID_MIN_W, Math.min(GRID_MAX, parseInt(e.target.value) || GRID_MIN_W)))} className="w-full rounded-lg bg-slate-900 px-3 py-2" disabled={!!imported} />
             </div>
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1">
               <label className="text-sm opacity-90">Grid height</label>
-              <input type="number" min={9} max={80} value={gridH} onChange={(e) => setGridH(Math.max(9, Math.min(80, parseInt(e.target.value) || 9)))} className="w-full rounded-lg bg-slate-900 px-3 py-2" />
+              <input type="number" min={GRID_MIN_H} max={GRID_MAX} value={gridH} onChange={(e) => setGridH(Math.max(GRID_MIN_H, Math.min(GRID_MAX, parseInt(e.target.value) || GRID_MIN_H)))} className="w-full rounded-lg bg-slate-900 px-3 py-2" disabled={!!imported} />
             </div>
             <div className="bg-slate-800/60 rounded-xl p-3 space-y-1 flex items-center justify-between">
               <label className="text-sm opacity-90">Guarantee solvable</label>
-              <input type="checkbox" checked={guarantee} onChange={(e) => setGuarantee(e.target.checked)} />
+              <input type="checkbox" checked={guarantee} onChange={(e) => setGuarantee(e.target.checked)} disabled={!!imported} />
+            </div>
+            <div className="bg-slate-800/60 rounded-xl p-3 space-y-1 flex items-center justify-between">
+              <label className="text-sm opacity-90">Terrain patches</label>
+              <input type="checkbox" checked={terrainOn} onChange={(e) => setTerrainOn(e.target.checked)} disabled={!!imported} />
+            </div>
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <label className="text-sm opacity-90">Map files</label>
+            <div className="flex flex-wrap gap-2">
+              <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={handleExport} title="Terrain, start, goal, waypoints, size and seed">Export JSON</button>
+              <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={() => fileInputRef.current?.click()} title="Exported .json grid, Moving AI .map, or a .scen for the loaded map">Import…</button>
+              <input ref={fileInputRef} type="file" accept=".json,.map,.scen,.txt" className="hidden" onChange={handleImportFile} />
+              <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={handleCopyLink} title="The address bar always holds this grid, its settings and your edits">Copy link</button>
+              {imported && <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={discardImport}>Back to generator</button>}
+              {linkNote && <span className="self-center text-xs text-emerald-300" role="status">{linkNote}</span>}
+            </div>
+            {linkOmitsEdits && <p className="text-xs text-amber-300">Map too large to share by link: the link keeps the settings but not the imported or painted cells.</p>}
+            {imported && <p className="text-xs text-slate-400">Using {imported.name} ({imported.w}×{imported.h}); the generator, seed and size settings are paused until you go back to the generator.</p>}
+            {scenarios && (() => {
+              const sc = scenarios.list[scenarios.index]; const eng = engineRef.current;
+              return (
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <span>Scenario</span>
+                  <input type="number" min={1} max={scenarios.list.length} value={scenarios.index + 1} onChange={(e) => selectScenario(parseInt(e.target.value) - 1)} className="w-20 rounded bg-slate-900 px-2 py-1" />
+                  <span className="text-slate-400">
+                    of {scenarios.list.length} ({scenarios.name}) • bucket {sc.bucket} • optimal {fmt(sc.optimal)}
+                    {eng && eng.finished && (eng.success ? ` • found ${fmt(eng.cost)}` : " • no path found")}
+                  </span>
+                </div>
+              );
+            })()}
+            {fileError && (
+              <div className="rounded-lg border border-rose-500/60 bg-rose-500/10 p-2 text-xs text-rose-200" role="alert">⚠ {fileError}</div>
+            )}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <label className="text-sm opacity-90">Paint (click or drag on the grid while paused; right-drag erases)</label>
+            <div className="flex flex-wrap gap-2">
+              {TERRAIN.map((t, code) => (
+                <button
+                  key={t.label}
+                  className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm transition ${brush === code ? "bg-slate-600 ring-2 ring-sky-400" : "bg-slate-900"}`}
+                  onClick={() => setBrush(code)}
+                >
+                  <span className="inline-block w-4 h-4 rounded border border-slate-500" style={{ background: t.color }} />
+                  {t.label} <span className="text-xs text-slate-400">{Number.isFinite(t.cost) ? `×${t.cost}` : "∞"}</span>
+                </button>
+              ))}
+              <button
+                className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm transition ${brush === "waypoint" ? "bg-slate-600 ring-2 ring-sky-400" : "bg-slate-900"}`}
+                onClick={() => setBrush("waypoint")}
+                title="Click cells to add/remove numbered waypoints"
+              >
+                <span className="inline-block w-4 h-4 rounded-full bg-violet-500" /> Waypoint
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {[["pen", "Freehand"], ["line", "Line"], ["rect", "Rectangle"]].map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`px-3 py-1 rounded-lg text-sm transition ${tool === key ? "bg-slate-600 ring-2 ring-sky-400" : "bg-slate-900"}`}
+                  onClick={() => setTool(key)}
+                  disabled={brush === "waypoint"}
+                >
+                  {label}
+                </button>
+              ))}
+              <label className="flex items-center gap-2 text-sm" title={tool === "rect" ? "Rectangles fill every cell between the corners" : undefined}>
+                Brush {brushSize}×{brushSize}
+                <input type="range" min={1} max={BRUSH_MAX} value={brushSize} onChange={(e) => setBrushSize(Number(e.target.value))} disabled={brush === "waypoint" || tool === "rect"} />
+              </label>
+            </div>
+            {(() => {
+              const editable = engine && !recording && !job && (!running || racersRef.current.every((r) => r.terrainChanged));
+              const gridAction = (label, change, title) => (
+                <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={() => editTerrain(change)} disabled={!editable} title={title}>{label}</button>
+              );
+              return (
+                <div className="flex flex-wrap gap-2">
+                  <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={() => handleUndo()} disabled={!editable || !undoable.canUndo} title="Undo the last stroke or grid action (Ctrl+Z)">↶ Undo</button>
+                  <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={() => handleUndo(true)} disabled={!editable || !undoable.canRedo} title="Redo (Ctrl+Shift+Z or Ctrl+Y)">↷ Redo</button>
+                  {gridAction("Clear all", (terrain) => clearTerrain(terrain), "Every cell back to road")}
+                  {gridAction("Invert walls", (terrain, keep) => invertWalls(terrain, keep), "Walls become road, everything else becomes wall")}
+                  {gridAction("Fill border", (terrain, keep) => paintCells(terrain, borderCells(gridW, gridH), WALL, keep), "Wall off the edge of the grid")}
+                </div>
+              );
+            })()}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-3 space-y-2">
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="text-sm opacity-90">Goals</label>
+              <select className="rounded-lg bg-slate-900 px-3 py-2" value={goalMode} onChange={(e) => setGoalMode(e.target.value)} disabled={agent} title={agent ? "The agent heads for the single goal" : undefined}>
+                <option value="single">Single goal</option>
+                <option value="nearest">Nearest of several goals</option>
+                <option value="tour">Waypoint tour (in order)</option>
+              </select>
+              <span className="text-xs text-slate-400">{waypointIdxs.length} waypoint{waypointIdxs.length === 1 ? "" : "s"}</span>
+              <button className="px-3 py-1 rounded-lg bg-slate-700 text-sm" onClick={() => setWaypoints([])} disabled={!waypoints.length}>Clear waypoints</button>
             </div>
+            {goalMode !== "single" && (
+              <p className="text-xs text-slate-400">
+                {goalMode === "nearest"
+                  ? "Waypoints become extra goals: h is the minimum over all goals and the search stops at whichever it reaches first."
+                  : "The search runs leg by leg (start → 1 → 2 → … → goal); each leg's path gets its own shade."}
+                {!waypointIdxs.length && " Pick the Waypoint tool above and click the grid to add some."}
+              </p>
+            )}
           </div>
 
           <div className="text-sm text-slate-300/90 leading-relaxed">
-            <p><span className="font-semibold">How to use:</span> Press <span className="text-emerald-400">Play</span> to see A* expand the frontier (blue) while minimizing <span className="font-mono">f = g + h</span> with Manhattan distance. The current node is orange; explored cells are gray; the final path is gold. Pause and click the grid to toggle walls. Start is top-left, goal is bottom-right.</p>
+            <p><span className="font-semibold">How to use:</span> Press <span className="text-emerald-400">Play</span> to see the search expand the frontier (blue); A* minimizes <span className="font-mono">f = g + h</span> with the selected heuristic. The current node is orange; explored cells are gray; the final path is gold. Pause and click or drag on the grid to paint the selected terrain (walls are impassable; grass, mud and water cost more to enter), or draw lines and filled rectangles; each stroke is one undo step. With LPA* you can paint while it runs and watch it replan. Drag the green start and red goal markers to move them.</p>
+            <p className="mt-2"><span className="font-semibold">Keyboard:</span> <kbd>Space</kbd> play/pause • <kbd>→</kbd> step • <kbd>←</kbd> back • <kbd>R</kbd> reset • <kbd>G</kbd> regenerate • <kbd>F</kbd> finish • <kbd>Esc</kbd> cancel a background job • <kbd>Ctrl</kbd>+<kbd>Z</kbd> undo • <kbd>Ctrl</kbd>+<kbd>Y</kbd> redo. Tab to the grid and the arrow keys move a cell cursor (<kbd>Shift</kbd> for 5 cells) that reads out each cell; <kbd>Enter</kbd> paints it. Status changes are announced to screen readers.</p>
           </div>
         </div>
 
@@ -554,14 +1820,69 @@ export default function AStarPathfindingDemo() {
             width={CANVAS_W * dpr}
             height={CANVAS_H * dpr}
             style={{ width: CANVAS_W, height: CANVAS_H }}
-            onClick={onCanvasClick}
-            className="rounded-xl border border-slate-800"
+            onMouseDown={onCanvasMouseDown}
+            onMouseMove={onCanvasMouseMove}
+            onMouseUp={onCanvasMouseUp}
+            onMouseLeave={() => { finishStroke(); dragRef.current = null; hoverRef.current = null; }}
+            onContextMenu={(e) => e.preventDefault()}
+            onKeyDown={onCanvasKeyDown}
+            onFocus={() => moveCursor(cursorRef.current >= 0 && cursorRef.current < gridW * gridH ? cursorRef.current : startIdx)}
+            onBlur={() => { if (hoverRef.current && hoverRef.current.keyboard) hoverRef.current = null; }}
+            tabIndex={0}
+            role="application"
+            aria-label={`Pathfinding grid, ${gridW} by ${gridH} cells. Arrow keys move the cell cursor (Shift for 5 cells), Enter paints the selected terrain, Space plays or pauses.`}
+            className="rounded-xl border border-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
           />
+          <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
         </div>
       </div>
 
+      {raceCount > 1 && engine && (() => {
+        const { rows, winner, bestCost } = raceSummary(racersRef.current, raceIds);
+        return (
+          <div className="w-full max-w-[1400px] bg-slate-900/60 rounded-2xl p-4 shadow-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-slate-400 text-left">
+                <tr><th className="py-1 pr-4">Pane</th><th className="pr-4">Algorithm</th><th className="pr-4">Nodes expanded</th><th className="pr-4">Peak open set</th><th className="pr-4">Path cost</th><th className="pr-4">Path length</th><th>Status</th></tr>
+              </thead>
+              <tbody>
+                {rows.map((r, k) => (
+                  <tr key={k} className={k === winner ? "text-amber-300 font-semibold" : ""}>
+                    <td className="py-1 pr-4">{k + 1}</td>
+                    <td className="pr-4">{k === winner ? "🏆 " : ""}{r.label}</td>
+                    <td className="pr-4">{r.expanded}</td>
+                    <td className="pr-4">{r.peakOpen}</td>
+                    <td className={`pr-4 ${r.success && r.cost === bestCost ? "text-emerald-300" : ""}`}>{r.success ? fmt(r.cost) : "—"}</td>
+                    <td className="pr-4">{r.length ?? "—"}</td>
+                    <td>{r.finished ? (r.success ? "reached goal" : "no path") : "searching…"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-slate-400 mt-2">🏆 first to reach the goal (fewest expansions, ties to the cheaper path) • green = cheapest path found so far</p>
+          </div>
+        );
+      })()}
+
+      {agent && engine && engine.seen && (() => {
+        const eng = racersRef.current[0]; const optimal = eng.optimalCost;
+        const stat = (label, value) => <div><div className="text-xs text-slate-400">{label}</div><div className="font-mono">{value}</div></div>;
+        return (
+          <div className="w-full max-w-[1400px] bg-slate-900/60 rounded-2xl p-4 shadow-lg grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+            {stat("Status", eng.finished ? (eng.success ? "reached goal" : "no path (proved)") : "walking…")}
+            {stat("Moves", eng.trail.length - 1)}
+            {stat("Distance travelled", fmt(eng.travelled))}
+            {stat("Omniscient optimal", optimal === undefined ? "…" : Number.isFinite(optimal) ? fmt(optimal) : "no path")}
+            {stat("Travelled / optimal", eng.success && optimal > 0 ? `${(eng.travelled / optimal).toFixed(2)}×` : "—")}
+            {stat("Plans (expansions)", `${eng.replans} (${eng.expanded})`)}
+          </div>
+        );
+      })()}
+
+      <BenchmarkPanel movement={movement} generator={generator} weight={weight} />
+
       <footer className="text-xs text-slate-400/80 mt-2">
-        g = 1 per move • h = Manhattan (L1) • 4-way movement • Deterministic tie-break on lower h
+        g = 1 per move{MOVEMENTS[movement].diagonal ? " (√2 diagonal)" : ""} • h = {HEURISTICS[heuristic].label} • {MOVEMENTS[movement].label} movement • Deterministic tie-break on lower h
       </footer>
     </div>
   );
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Command-line front end for benchmark.mjs. Examples:
+//   node benchmark-cli.mjs --densities 0.1,0.2,0.3 --seeds 20 --algorithms astar,dijkstra
+//   node benchmark-cli.mjs --sizes 64x36,128x72 --heuristics manhattan,octile --movement 8 --format csv > runs.csv
+// Prints the summary table by default; --format csv writes every run, --format json writes
+// { config, summary, runs }. Progress goes to stderr.
+import { DEFAULT_BENCHMARK, parseSizeList, runBenchmark, seedList, summarizeBenchmark, toCsv } from "./benchmark.mjs";
+import { ALGORITHMS, fmt } from "./pathfinding.mjs";
+
+const USAGE = `Usage: node benchmark-cli.mjs [options]
+  --sizes 64x36,128x72     grid sizes (default ${DEFAULT_BENCHMARK.sizes.map(([w, h]) => `${w}x${h}`).join(",")})
+  --densities 0.1,0.2      obstacle densities (default ${DEFAULT_BENCHMARK.densities.join(",")})
+  --seeds 10               seeds per cell, named <prefix>-1 … <prefix>-n (default ${DEFAULT_BENCHMARK.seeds.length})
+  --seed-prefix bench      prefix for the seed names
+  --algorithms a,b         ${Object.keys(ALGORITHMS).join(", ")} (default ${DEFAULT_BENCHMARK.algorithms.join(",")})
+  --heuristics a,b         manhattan, euclidean, chebyshev, octile, zero (default ${DEFAULT_BENCHMARK.heuristics.join(",")})
+  --movement 4|8|8-no-corner
+  --generator noise|backtracker|prim|kruskal|division|caves|rooms
+  --weight 1.5             ε for weighted A*
+  --guarantee              only solvable layouts (retries the seed)
+  --format table|csv|json`;
+
+function parseArgs(argv) {
+  const config = { ...DEFAULT_BENCHMARK };
+  let format = "table"; let seedCount = config.seeds.length; let seedPrefix = "bench";
+  const list = (v) => v.split(",").map((s) => s.trim()).filter(Boolean);
+  for (let k = 0; k < argv.length; k++) {
+    const flag = argv[k]; const value = () => {
+      if (k + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++k];
+    };
+    switch (flag) {
+      case "--sizes": config.sizes = parseSizeList(value()); break;
+      case "--densities": config.densities = list(value()).map(Number); break;
+      case "--seeds": seedCount = parseInt(value(), 10); break;
+      case "--seed-prefix": seedPrefix = value(); break;
+      case "--algorithms": config.algorithms = list(value()); break;
+      case "--heuristics": config.heuristics = list(value()); break;
+      case "--movement": config.movement = value(); break;
+      case "--generator": config.generator = value(); break;
+      case "--weight": config.weight = Number(value()); break;
+      case "--guarantee": config.guarantee = true; break;
+      case "--format": format = value(); break;
+      case "-h": case "--help": console.log(USAGE); process.exit(0); break;
+      default: throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  if (!["table", "csv", "json"].includes(format)) throw new Error(`Unknown format "${format}"`);
+  config.seeds = seedList(seedPrefix, seedCount);
+  return { config, format };
+}
+
+// Fixed-width columns for the terminal
+function table(rows) {
+  const cols = ["size", "density", "algorithm", "heuristic", "runs", "solvable", "mean exp", "median exp", "mean cost", "median cost", "mean ms", "median ms"];
+  const num = (v) => (v === null ? "-" : fmt(v));
+  const lines = rows.map((r) => [
+    r.size, String(r.density), r.algorithm, r.heuristic, String(r.runs), `${Math.round(r.solvableRate * 100)}%`,
+    num(r.meanExpanded), num(r.medianExpanded), num(r.meanCost), num(r.medianCost), num(r.meanMs), num(r.medianMs),
+  ]);
+  const widths = cols.map((c, k) => Math.max(c.length, ...lines.map((l) => l[k].length)));
+  return [cols, ...lines].map((l) => l.map((v, k) => v.padEnd(widths[k])).join("  ")).join("\n");
+}
+
+try {
+  const { config, format } = parseArgs(process.argv.slice(2));
+  const runs = await runBenchmark(config, { onProgress: (done, total) => process.stderr.write(`\r${done}/${total} layouts`) });
+  process.stderr.write("\n");
+  const summary = summarizeBenchmark(runs);
+  if (format === "csv") process.stdout.write(toCsv(runs));
+  else if (format === "json") process.stdout.write(JSON.stringify({ config, summary, runs }, null, 1) + "\n");
+  else console.log(table(summary));
+} catch (e) {
+  console.error(`benchmark: ${e.message}\n\n${USAGE}`);
+  process.exit(1);
+}
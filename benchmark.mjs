@@ -0,0 +1,140 @@
+/**
+ * Batch benchmarks for the pathfinding core: sweep grid sizes, obstacle densities, seeds and
+ * algorithm/heuristic settings, run every engine to completion without animation, and summarize
+ * expansions, path cost, runtime and solvability. The demo's Benchmark panel and the Node CLI
+ * (benchmark-cli.mjs) both run it.
+ */
+
+import { ALGORITHMS, GENERATORS, HEURISTICS, MOVEMENTS, checkGridSize, createEngine, generateObstacles } from "./pathfinding.mjs";
+
+// config: { sizes: [[w, h], …], densities, seeds (strings), algorithms, heuristics, movement,
+// generator, guarantee, weight }. Heuristics only multiply algorithms that use h.
+export const DEFAULT_BENCHMARK = {
+  sizes: [[64, 36]],
+  densities: [0.1, 0.2, 0.3],
+  seeds: seedList("bench", 10),
+  algorithms: ["astar", "dijkstra", "greedy"],
+  heuristics: ["manhattan"],
+  movement: "4",
+  generator: "noise",
+  guarantee: false,
+  weight: 1.5,
+};
+
+// "bench-1" … "bench-n"
+export function seedList(prefix, n) {
+  return Array.from({ length: n }, (_, k) => `${prefix}-${k + 1}`);
+}
+
+// "64x36, 128x72" → [[64, 36], [128, 72]]
+export function parseSizeList(text) {
+  return text.split(",").map((s) => s.trim()).filter(Boolean).map((s) => {
+    const m = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(s);
+    if (!m) throw new Error(`Bad grid size "${s}" (expected WxH, e.g. 64x36).`);
+    const w = Number(m[1]); const h = Number(m[2]);
+    checkGridSize(w, h, "A benchmark grid");
+    return [w, h];
+  });
+}
+
+// The (algorithm, heuristic) pairs a config runs; "-" marks an algorithm that ignores h
+export function benchmarkVariants(config) {
+  return config.algorithms.flatMap((algorithm) => (ALGORITHMS[algorithm].usesHeuristic
+    ? config.heuristics.map((heuristic) => ({ algorithm, heuristic }))
+    : [{ algorithm, heuristic: "-" }]));
+}
+
+// Reject unknown names and empty sweeps before any work starts
+export function validateBenchmark(config) {
+  const fail = (msg) => { throw new Error(msg); };
+  if (!config.sizes.length || !config.densities.length || !config.seeds.length) fail("Pick at least one size, density and seed.");
+  for (const id of config.algorithms) if (!ALGORITHMS[id]) fail(`Unknown algorithm "${id}".`);
+  for (const id of config.heuristics) if (!HEURISTICS[id]) fail(`Unknown heuristic "${id}".`);
+  if (!benchmarkVariants(config).length) fail("Pick at least one algorithm.");
+  for (const d of config.densities) if (!(d >= 0 && d <= 1)) fail(`Density ${d} is outside 0–1.`);
+  if (config.movement && !MOVEMENTS[config.movement]) fail(`Unknown movement "${config.movement}".`);
+  if (config.generator && !GENERATORS[config.generator]) fail(`Unknown generator "${config.generator}".`);
+  return config;
+}
+
+// Run the whole sweep; resolves to one record per engine run. Yields to the event loop every
+// ~30 ms so a page stays responsive; onProgress(done, total) after each layout; stops early
+// (with the runs so far) once signal.aborted is set.
+export async function runBenchmark(config, { onProgress, signal } = {}) {
+  const { sizes, densities, seeds, movement = "4", generator = "noise", guarantee = false, weight = 1.5 } = validateBenchmark(config);
+  const variants = benchmarkVariants(config);
+  const total = sizes.length * densities.length * seeds.length;
+  const runs = [];
+  let done = 0; let lastYield = performance.now();
+  for (const [w, h] of sizes) {
+    for (const density of densities) {
+      for (const seed of seeds) {
+        if (signal && signal.aborted) return runs;
+        const { terrain } = generateObstacles(w, h, density, seed, guarantee, { movement, generator });
+        for (const { algorithm, heuristic } of variants) {
+          const options = { movement, weight, heuristic: heuristic === "-" ? undefined : heuristic };
+          runs.push({ w, h, density, seed, movement, algorithm, heuristic, ...solveOnce(algorithm, w, h, terrain, options) });
+        }
+        done++;
+        if (onProgress) onProgress(done, total);
+        if (performance.now() - lastYield > 30) { await new Promise((r) => setTimeout(r, 0)); lastYield = performance.now(); }
+      }
+    }
+  }
+  return runs;
+}
+
+// One engine to completion, timed (setup included: it precomputes h for every cell)
+function solveOnce(algorithm, w, h, terrain, options) {
+  const t0 = performance.now();
+  const eng = createEngine(algorithm, w, h, terrain, options);
+  while (!eng.finished) eng.step();
+  const ms = performance.now() - t0;
+  return {
+    solved: eng.success,
+    expanded: eng.expanded,
+    cost: eng.success ? eng.cost : null,
+    pathLength: eng.success ? eng.path.length - 1 : null, // moves
+    ms,
+  };
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b); const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// One row per (size, density, algorithm, heuristic): solvability rate plus mean/median of
+// expansions and runtime over every run, and of path cost over the solved ones.
+export function summarizeBenchmark(runs) {
+  const groups = new Map();
+  for (const r of runs) {
+    const key = [r.w, r.h, r.density, r.algorithm, r.heuristic].join("|");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return [...groups.values()].map((rs) => {
+    const solved = rs.filter((r) => r.solved);
+    const { w, h, density, algorithm, heuristic } = rs[0];
+    return {
+      size: `${w}x${h}`, density, algorithm, heuristic, runs: rs.length,
+      solvableRate: solved.length / rs.length,
+      meanExpanded: mean(rs.map((r) => r.expanded)), medianExpanded: median(rs.map((r) => r.expanded)),
+      meanCost: mean(solved.map((r) => r.cost)), medianCost: median(solved.map((r) => r.cost)),
+      meanMs: mean(rs.map((r) => r.ms)), medianMs: median(rs.map((r) => r.ms)),
+    };
+  });
+}
+
+// Flat records → CSV with a header row (fields quoted only when needed)
+export function toCsv(records) {
+  if (!records.length) return "";
+  const cols = Object.keys(records[0]);
+  const cell = (v) => {
+    const s = v === null || v === undefined ? "" : typeof v === "number" && !Number.isInteger(v) ? String(+v.toFixed(4)) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.join(","), ...records.map((r) => cols.map((c) => cell(r[c])).join(","))].join("\n") + "\n";
+}
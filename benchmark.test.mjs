@@ -0,0 +1,61 @@
+// Node test suite for the benchmark runner: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { benchmarkVariants, parseSizeList, runBenchmark, seedList, summarizeBenchmark, toCsv, validateBenchmark } from "./benchmark.mjs";
+
+const small = {
+  sizes: [[24, 14]], densities: [0, 0.25], seeds: seedList("t", 4), algorithms: ["astar", "dijkstra", "bfs"],
+  heuristics: ["manhattan", "zero"], movement: "4", generator: "noise", guarantee: false, weight: 1.5,
+};
+
+test("variants: heuristics multiply only the algorithms that use h", () => {
+  assert.deepEqual(benchmarkVariants(small), [
+    { algorithm: "astar", heuristic: "manhattan" }, { algorithm: "astar", heuristic: "zero" },
+    { algorithm: "dijkstra", heuristic: "-" }, { algorithm: "bfs", heuristic: "-" },
+  ]);
+});
+
+test("sizes and validation reject bad input with readable messages", () => {
+  assert.deepEqual(parseSizeList("64x36, 128×72"), [[64, 36], [128, 72]]);
+  assert.throws(() => parseSizeList("64 by 36"), /Bad grid size/);
+  assert.throws(() => parseSizeList("4x4"), /benchmark grid/);
+  assert.throws(() => validateBenchmark({ ...small, algorithms: ["nope"] }), /Unknown algorithm "nope"/);
+  assert.throws(() => validateBenchmark({ ...small, densities: [1.5] }), /outside 0–1/);
+  assert.throws(() => validateBenchmark({ ...small, algorithms: [] }), /at least one algorithm/);
+});
+
+test("runs are deterministic per seed and the summary aggregates them", async () => {
+  const a = await runBenchmark(small); const b = await runBenchmark(small);
+  assert.equal(a.length, 2 * 4 * 4);
+  assert.deepEqual(a.map((r) => [r.expanded, r.cost]), b.map((r) => [r.expanded, r.cost]));
+  const summary = summarizeBenchmark(a);
+  assert.equal(summary.length, 2 * 4);
+  const open = summary.filter((r) => r.density === 0);
+  for (const r of open) assert.equal(r.solvableRate, 1);
+  // On an empty 4-connected road grid every optimal algorithm pays the same cost
+  assert.equal(new Set(open.map((r) => r.meanCost)).size, 1);
+  // Dijkstra never expands fewer cells than A* with an admissible h
+  for (const d of small.densities) {
+    const row = (alg, hh) => summary.find((r) => r.density === d && r.algorithm === alg && r.heuristic === hh);
+    assert.ok(row("dijkstra", "-").meanExpanded >= row("astar", "manhattan").meanExpanded);
+  }
+});
+
+test("median and mean over hand-made runs; cost ignores unsolved runs", () => {
+  const base = { w: 16, h: 9, density: 0.2, seed: "x", movement: "4", algorithm: "astar", heuristic: "manhattan", pathLength: 1, ms: 1 };
+  const [row] = summarizeBenchmark([
+    { ...base, solved: true, expanded: 10, cost: 4 }, { ...base, solved: true, expanded: 30, cost: 8 },
+    { ...base, solved: false, expanded: 50, cost: null }, { ...base, solved: true, expanded: 20, cost: 6 },
+  ]);
+  assert.equal(row.solvableRate, 0.75);
+  assert.equal(row.meanExpanded, 27.5); assert.equal(row.medianExpanded, 25);
+  assert.equal(row.meanCost, 6); assert.equal(row.medianCost, 6);
+});
+
+test("abort stops the sweep early; CSV quotes only when needed", async () => {
+  const controller = new AbortController();
+  const runs = await runBenchmark(small, { signal: controller.signal, onProgress: (done) => done === 2 && controller.abort() });
+  assert.equal(runs.length, 2 * 4);
+  assert.equal(toCsv([{ a: "x,y", b: 'say "hi"', c: null, d: 1 / 3 }]), 'a,b,c,d\n"x,y","say ""hi""",,0.3333\n');
+  assert.equal(toCsv([]), "");
+});
@@ -0,0 +1,110 @@
+/**
+ * Terrain editing for the demo's paint tools: the cells a brush, line or rectangle covers,
+ * whole-grid actions (clear, invert, border), and an undo/redo history of edits. An edit is
+ * { cells, before, after } over the cells it changed, so one stroke is one undo step however
+ * many cells it touched.
+ */
+
+import { ROAD, WALL } from "./pathfinding.mjs";
+
+export const BRUSH_MAX = 9; // widest square brush, in cells
+
+// --- Shapes -------------------------------------------------------------------
+// Cells of a size×size square brush centered on cell i (even sizes lean up-left), clipped to the grid
+export function brushCells(w, h, i, size = 1) {
+  const x = i % w; const y = Math.floor(i / w); const r = Math.floor((size - 1) / 2);
+  const cells = [];
+  for (let ny = Math.max(0, y - r); ny <= Math.min(h - 1, y - r + size - 1); ny++) {
+    for (let nx = Math.max(0, x - r); nx <= Math.min(w - 1, x - r + size - 1); nx++) cells.push(ny * w + nx);
+  }
+  return cells;
+}
+
+// Cells of the straight line a → b (Bresenham, no gaps between steps), stamped with the brush
+export function lineCells(w, h, a, b, size = 1) {
+  let x = a % w; let y = Math.floor(a / w); const tx = b % w; const ty = Math.floor(b / w);
+  const dx = Math.abs(tx - x); const dy = -Math.abs(ty - y); const sx = x < tx ? 1 : -1; const sy = y < ty ? 1 : -1;
+  const cells = new Set();
+  for (let err = dx + dy; ;) {
+    for (const c of brushCells(w, h, y * w + x, size)) cells.add(c);
+    if (x === tx && y === ty) return [...cells];
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+  }
+}
+
+// Cells of the filled rectangle with opposite corners a and b
+export function rectCells(w, a, b) {
+  const [x0, x1] = [a % w, b % w].sort((p, q) => p - q); const [y0, y1] = [Math.floor(a / w), Math.floor(b / w)].sort((p, q) => p - q);
+  const cells = [];
+  for (let y = y0; y <= y1; y++) for (let x = x0; x <= x1; x++) cells.push(y * w + x);
+  return cells;
+}
+
+// Cells along the outer edge of the grid
+export function borderCells(w, h) {
+  return rectCells(w, 0, w * h - 1).filter((i) => i % w === 0 || i % w === w - 1 || i < w || i >= w * (h - 1));
+}
+
+// --- Edits --------------------------------------------------------------------
+// Set cells to `code` in place, skipping `keep` (endpoints stay open) and cells that already
+// hold it; returns the edit, or null if nothing changed
+export function paintCells(terrain, cells, code, keep = []) {
+  return applyChange(terrain, cells, () => code, keep);
+}
+
+// Walls become road and everything else becomes wall
+export function invertWalls(terrain, keep = []) {
+  return applyChange(terrain, terrain.keys(), (t) => (t === WALL ? ROAD : WALL), keep);
+}
+
+// Every cell back to road
+export function clearTerrain(terrain) {
+  return applyChange(terrain, terrain.keys(), () => ROAD);
+}
+
+function applyChange(terrain, cells, next, keep = []) {
+  const skip = new Set(keep);
+  const changed = []; const before = []; const after = [];
+  for (const i of cells) {
+    const t = next(terrain[i]);
+    if (skip.has(i) || terrain[i] === t) continue;
+    changed.push(i); before.push(terrain[i]); after.push(t);
+    terrain[i] = t;
+  }
+  return changed.length ? { cells: Int32Array.from(changed), before: Uint8Array.from(before), after: Uint8Array.from(after) } : null;
+}
+
+// Undo/redo stacks of edits (the oldest drop off past `limit`). undo()/redo() write the edit back
+// into a terrain array — except over `keep` cells — and return it so the caller can refresh.
+export class EditHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.done = [];
+    this.undone = [];
+  }
+
+  get canUndo() { return this.done.length > 0; }
+  get canRedo() { return this.undone.length > 0; }
+
+  push(edit) {
+    if (!edit) return;
+    this.done.push(edit);
+    if (this.done.length > this.limit) this.done.shift();
+    this.undone = [];
+  }
+
+  undo(terrain, keep = []) { return this.move(this.done, this.undone, terrain, "before", keep); }
+  redo(terrain, keep = []) { return this.move(this.undone, this.done, terrain, "after", keep); }
+
+  move(from, to, terrain, side, keep) {
+    const edit = from.pop(); if (!edit) return null;
+    const skip = new Set(keep);
+    edit.cells.forEach((i, k) => { if (!skip.has(i)) terrain[i] = edit[side][k]; });
+    to.push(edit);
+    return edit;
+  }
+
+  clear() { this.done = []; this.undone = []; }
+}
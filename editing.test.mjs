@@ -0,0 +1,66 @@
+// Node test suite for the terrain editing tools: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EditHistory, borderCells, brushCells, clearTerrain, invertWalls, lineCells, paintCells, rectCells } from "./editing.mjs";
+import { ROAD, WALL } from "./pathfinding.mjs";
+
+const w = 10; const h = 6;
+const at = (x, y) => y * w + x;
+const sorted = (cells) => [...cells].sort((a, b) => a - b);
+
+test("shapes: brushes clip at the edge, lines have no gaps, rectangles and borders are filled", () => {
+  assert.deepEqual(brushCells(w, h, at(4, 2), 1), [at(4, 2)]);
+  assert.deepEqual(sorted(brushCells(w, h, at(0, 0), 3)), [at(0, 0), at(1, 0), at(0, 1), at(1, 1)]);
+  assert.equal(brushCells(w, h, at(5, 3), 4).length, 16);
+
+  const line = lineCells(w, h, at(0, 0), at(9, 3));
+  assert.ok(line.includes(at(0, 0)) && line.includes(at(9, 3)) && line.length === 10);
+  for (let x = 0; x < w; x++) assert.equal(line.filter((i) => i % w === x).length, 1, "one cell per column on a shallow line");
+  assert.equal(lineCells(w, h, at(2, 1), at(2, 1), 3).length, 9);
+  assert.equal(lineCells(w, h, at(0, 2), at(9, 2), 3).length, 30);
+
+  assert.deepEqual(sorted(rectCells(w, at(3, 3), at(1, 2))), [at(1, 2), at(2, 2), at(3, 2), at(1, 3), at(2, 3), at(3, 3)]);
+  assert.equal(borderCells(w, h).length, 2 * w + 2 * (h - 2));
+});
+
+test("edits record only changed cells, skip kept ones, and undo/redo restore them exactly", () => {
+  const terrain = new Uint8Array(w * h); terrain[at(1, 1)] = WALL; terrain[at(2, 1)] = 3;
+  const original = terrain.slice();
+  const history = new EditHistory();
+
+  const stroke = paintCells(terrain, lineCells(w, h, at(0, 1), at(4, 1), 1), WALL, [at(0, 1)]);
+  assert.deepEqual([...stroke.cells], [at(2, 1), at(3, 1), at(4, 1)]);
+  assert.deepEqual([...stroke.before], [3, ROAD, ROAD]);
+  history.push(stroke);
+  assert.equal(paintCells(terrain, [at(1, 1)], WALL), null, "painting what is already there is no edit");
+
+  const afterStroke = terrain.slice();
+  history.push(invertWalls(terrain, [0]));
+  assert.equal(terrain[0], ROAD);
+  assert.equal(terrain[at(2, 1)], ROAD);
+  assert.equal(terrain[at(5, 5)], WALL);
+  const afterInvert = terrain.slice();
+
+  history.undo(terrain);
+  assert.deepEqual(terrain, afterStroke);
+  history.undo(terrain);
+  assert.deepEqual(terrain, original);
+  assert.ok(!history.canUndo && history.canRedo);
+  assert.equal(history.undo(terrain), null);
+  history.redo(terrain); history.redo(terrain);
+  assert.deepEqual(terrain, afterInvert);
+
+  // a new edit drops the redo stack; kept cells (a moved goal, say) aren't restored over
+  history.undo(terrain);
+  history.push(clearTerrain(terrain));
+  assert.ok(!history.canRedo && terrain.every((t) => t === ROAD));
+  history.undo(terrain, [at(3, 1)]);
+  assert.equal(terrain[at(3, 1)], ROAD);
+  assert.equal(terrain[at(4, 1)], WALL);
+
+  const short = new EditHistory(2);
+  for (let k = 0; k < 4; k++) short.push(paintCells(terrain, [k], 4));
+  short.undo(terrain); short.undo(terrain);
+  assert.ok(!short.canUndo);
+  assert.equal(terrain[1], 4, "edits past the limit can't be undone");
+});
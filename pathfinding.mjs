@@ -0,0 +1,1909 @@
+/**
+ * Pathfinding core of the A* demo: terrain, movement and heuristics, the step-by-step search
+ * engines, waypoint routes, the fog-of-war agent, map generators, map-file parsers and share-link
+ * encoding. No React and no DOM, so the demo component and Node (tests, benchmarks) import the same code.
+ * Engines expand one node per step() and undo it with stepBack(); see GridSearchEngine.
+ * Tests: node --test
+ */
+
+export const GRID_MAX = 1024; // widest/tallest grid (fits the 1024×1024 benchmark maps)
+export const GRID_MIN_W = 16; export const GRID_MIN_H = 9; // smallest grid the demo allows
+// Play speeds in steps per second: paced per second up to 30, then whole steps per 60 Hz frame
+// (60 = 1 per frame … 60000 = 1000 per frame), then Infinity = instant (run to the end at once)
+export const SPEEDS = [1, 2, 3, 4, 6, 8, 10, 15, 20, 30, 60, 120, 300, 600, 1200, 3000, 6000, 30000, 60000, Infinity];
+
+// --- Seeded RNG helpers -----------------------------------------------------
+export function xmur3(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return function () {
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+  };
+}
+
+export function mulberry32(a) {
+  return function () {
+    a |= 0;
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function rngFromSeed(seedStr) {
+  const seed = xmur3(seedStr)();
+  return mulberry32(seed);
+}
+
+// --- Terrain ----------------------------------------------------------------
+// Cells hold a terrain code; entering a cell costs its terrain cost (× √2 diagonally).
+// Code 1 is the wall, so plain 0/1 wall arrays are valid terrain maps.
+export const ROAD = 0;
+export const WALL = 1;
+export const TERRAIN = [
+  { label: "Road", cost: 1, color: "#ffffff" },
+  { label: "Wall", cost: Infinity, color: "#0b0b0f" },
+  { label: "Grass", cost: 2, color: "#b9e4a3" },
+  { label: "Mud", cost: 5, color: "#b8916a" },
+  { label: "Water", cost: 10, color: "#6fb7ea" },
+];
+export const TERRAIN_COST = TERRAIN.map((t) => t.cost);
+
+// Smooth value noise in [0,1): a random lattice every `scale` cells, smoothstep-blended
+function valueNoise(w, h, rng, scale) {
+  const lw = Math.ceil(w / scale) + 2;
+  const lh = Math.ceil(h / scale) + 2;
+  const lattice = new Float64Array(lw * lh);
+  for (let k = 0; k < lattice.length; k++) lattice[k] = rng();
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const out = new Float64Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const fy = y / scale; const y0 = fy | 0; const ty = smooth(fy - y0);
+    for (let x = 0; x < w; x++) {
+      const fx = x / scale; const x0 = fx | 0; const tx = smooth(fx - x0);
+      const a = lattice[y0 * lw + x0]; const b = lattice[y0 * lw + x0 + 1];
+      const c = lattice[(y0 + 1) * lw + x0]; const d = lattice[(y0 + 1) * lw + x0 + 1];
+      out[y * w + x] = (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+    }
+  }
+  return out;
+}
+
+// Paint grass/mud/water patches over the non-wall cells (two octaves of value noise)
+export function paintTerrainPatches(terrain, w, h, rng) {
+  const coarse = valueNoise(w, h, rng, 10);
+  const fine = valueNoise(w, h, rng, 4);
+  for (let i = 0; i < w * h; i++) {
+    if (terrain[i] === WALL) continue;
+    const n = 0.7 * coarse[i] + 0.3 * fine[i];
+    terrain[i] = n < 0.3 ? 4 : n < 0.38 ? 3 : n < 0.5 ? 2 : ROAD; // water, mud, grass, road
+  }
+}
+
+// --- Movement & heuristics --------------------------------------------------
+// Straight moves cost 1, diagonal moves cost √2.
+export const MOVEMENTS = {
+  "4": { label: "4-way", diagonal: false, cutCorners: false },
+  "8": { label: "8-way", diagonal: true, cutCorners: true },
+  "8-no-corner": { label: "8-way, no corner cutting", diagonal: true, cutCorners: false },
+};
+
+// h(dx, dy) for absolute offsets to the goal
+export const HEURISTICS = {
+  manhattan: { label: "Manhattan", h: (dx, dy) => dx + dy },
+  euclidean: { label: "Euclidean", h: (dx, dy) => Math.hypot(dx, dy) },
+  chebyshev: { label: "Chebyshev", h: (dx, dy) => Math.max(dx, dy) },
+  octile: { label: "Octile", h: (dx, dy) => Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) },
+  zero: { label: "Zero", h: () => 0 },
+};
+
+// Admissible = never overestimates the true remaining cost. Every heuristic above is
+// admissible for 4-way moves; only Manhattan overestimates a diagonal step (2 vs √2).
+// Terrain never costs less than road (1), so terrain keeps this table valid.
+export function heuristicAdmissible(heuristic, movement) {
+  return !(heuristic === "manhattan" && MOVEMENTS[movement].diagonal);
+}
+
+// Passable neighbors of cell i as [index, move cost] pairs (4-way first, then diagonals).
+// The move cost is the entered cell's terrain cost, × √2 for diagonal moves.
+export function gridNeighbors(w, h, terrain, movement, i) {
+  const x = i % w; const y = (i / w) | 0;
+  const nn = [];
+  if (x > 0 && terrain[i - 1] !== WALL) nn.push([i - 1, TERRAIN_COST[terrain[i - 1]]]);
+  if (x < w - 1 && terrain[i + 1] !== WALL) nn.push([i + 1, TERRAIN_COST[terrain[i + 1]]]);
+  if (y > 0 && terrain[i - w] !== WALL) nn.push([i - w, TERRAIN_COST[terrain[i - w]]]);
+  if (y < h - 1 && terrain[i + w] !== WALL) nn.push([i + w, TERRAIN_COST[terrain[i + w]]]);
+  const mode = MOVEMENTS[movement];
+  if (!mode.diagonal) return nn;
+  for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+    const nx = x + dx; const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+    const j = ny * w + nx;
+    if (terrain[j] === WALL) continue;
+    // no corner cutting: both orthogonal cells beside the diagonal must be open
+    if (!mode.cutCorners && (terrain[y * w + nx] === WALL || terrain[ny * w + x] === WALL)) continue;
+    nn.push([j, Math.SQRT2 * TERRAIN_COST[terrain[j]]]);
+  }
+  return nn;
+}
+
+// Cost of the single move a → b between neighboring cells (b's terrain cost, × √2 diagonally);
+// backward searches and replanners price edges from this side
+export function stepCost(w, terrain, a, b) {
+  const diagonal = a % w !== b % w && Math.floor(a / w) !== Math.floor(b / w);
+  return TERRAIN_COST[terrain[b]] * (diagonal ? Math.SQRT2 : 1);
+}
+
+// Costs may be fractional once diagonals are involved (and are ∞ until a cell is reached)
+export function fmt(v) { return Number.isInteger(v) ? String(v) : Number.isFinite(v) ? v.toFixed(2) : "∞"; }
+
+// "parent (4, 7) ←": where cell i was reached from, with an arrow pointing there
+const ARROWS = { "-1,-1": "↖", "0,-1": "↑", "1,-1": "↗", "-1,0": "←", "1,0": "→", "-1,1": "↙", "0,1": "↓", "1,1": "↘" };
+function parentLine(w, p, i, label = "parent") {
+  if (p < 0) return `${label}: none`;
+  const [px, py, x, y] = [p % w, Math.floor(p / w), i % w, Math.floor(i / w)];
+  return `${label} (${px}, ${py}) ${ARROWS[`${Math.sign(px - x)},${Math.sign(py - y)}`]}`;
+}
+
+// --- Priority queue & ring buffer --------------------------------------------
+// Indexed binary min-heap over cell indices: O(log n) push/pop/remove and decrease-key
+// via update(). less(a, b) must be a strict total order on the cells it holds.
+// Iterable and has `length`, so draw() can walk it like the old open array.
+export class IndexedHeap {
+  constructor(n, less) {
+    this.heap = new Int32Array(n);
+    this.pos = new Int32Array(n).fill(-1); // heap slot of each cell, -1 = absent
+    this.size = 0;
+    this.less = less;
+  }
+
+  get length() { return this.size; }
+  has(i) { return this.pos[i] >= 0; }
+  peek() { return this.heap[0]; }
+
+  push(i) {
+    this.heap[this.size] = i; this.pos[i] = this.size++;
+    this.up(this.size - 1);
+  }
+
+  pop() {
+    const top = this.heap[0];
+    this.remove(top);
+    return top;
+  }
+
+  remove(i) {
+    const k = this.pos[i];
+    const last = this.heap[--this.size];
+    this.pos[i] = -1;
+    if (k === this.size) return;
+    this.heap[k] = last; this.pos[last] = k;
+    this.update(last);
+  }
+
+  // restore heap order after i's key changed (either direction)
+  update(i) { this.down(this.up(this.pos[i])); }
+
+  up(k) {
+    const { heap, pos } = this;
+    const item = heap[k];
+    while (k > 0) {
+      const parent = (k - 1) >> 1;
+      if (!this.less(item, heap[parent])) break;
+      heap[k] = heap[parent]; pos[heap[k]] = k; k = parent;
+    }
+    heap[k] = item; pos[item] = k;
+    return k;
+  }
+
+  down(k) {
+    const { heap, pos } = this;
+    const item = heap[k];
+    for (;;) {
+      let child = 2 * k + 1;
+      if (child >= this.size) break;
+      if (child + 1 < this.size && this.less(heap[child + 1], heap[child])) child++;
+      if (!this.less(heap[child], item)) break;
+      heap[k] = heap[child]; pos[heap[k]] = k; k = child;
+    }
+    heap[k] = item; pos[item] = k;
+    return k;
+  }
+
+  *[Symbol.iterator]() { for (let k = 0; k < this.size; k++) yield this.heap[k]; }
+}
+
+// Fixed-capacity FIFO queue over a typed array with wrap-around head/tail
+export class RingQueue {
+  constructor(capacity) {
+    this.buf = new Int32Array(capacity);
+    this.head = 0;
+    this.size = 0;
+  }
+
+  get length() { return this.size; }
+
+  push(v) {
+    if (this.size === this.buf.length) throw new Error("RingQueue overflow");
+    this.buf[(this.head + this.size++) % this.buf.length] = v;
+  }
+
+  shift() {
+    const v = this.buf[this.head];
+    this.head = (this.head + 1) % this.buf.length; this.size--;
+    return v;
+  }
+}
+
+// --- Expansion history ------------------------------------------------------
+// Compact undo log for the timeline. Each expansion stores the popped node (-1 = search
+// exhausted) and the largest open set seen before it; each neighbor it relaxed stores the
+// old g, f, parent and whether it was already open. Typed arrays grow by doubling.
+// Engines that save more per change pass their own stride and fill slot() themselves.
+class ExpansionLog {
+  constructor(stride = 5) {
+    this.stride = stride;
+    this.entries = new Int32Array(3 * 256); // [node, firstChange, peakOpen] per expansion
+    this.changes = new Float64Array(stride * 1024); // [nb, g, f, came, wasOpen] per relaxation
+    this.count = 0;
+    this.changeCount = 0;
+  }
+
+  begin(node, openSize) {
+    if (3 * (this.count + 1) > this.entries.length) this.entries = grow(this.entries);
+    const e = 3 * this.count++;
+    this.entries[e] = node; this.entries[e + 1] = this.changeCount;
+    this.entries[e + 2] = Math.max(openSize, e ? this.entries[e - 1] : 0);
+  }
+
+  // offset of a fresh change record in `changes`
+  slot() {
+    if (this.stride * (this.changeCount + 1) > this.changes.length) this.changes = grow(this.changes);
+    return this.stride * this.changeCount++;
+  }
+
+  record(nb, g, f, came, wasOpen) {
+    const c = this.slot();
+    this.changes[c] = nb; this.changes[c + 1] = g; this.changes[c + 2] = f; this.changes[c + 3] = came; this.changes[c + 4] = wasOpen;
+  }
+
+  // node popped by the latest remaining expansion (-1 if none)
+  lastNode() { return this.count ? this.entries[3 * (this.count - 1)] : -1; }
+
+  // largest open set before any remaining expansion (0 if none)
+  peakOpen() { return this.count ? this.entries[3 * this.count - 1] : 0; }
+}
+
+function grow(arr) {
+  const next = new arr.constructor(arr.length * 2);
+  next.set(arr);
+  return next;
+}
+
+// --- Search engines ---------------------------------------------------------
+// Every engine shares the stepping surface that draw() reads:
+// step(), open, closed, current, path, finished, success, g, f, hScore, iter.
+// Subclasses only change how f is scored, which open node goes first, and
+// when a neighbor's g may be improved.
+export class GridSearchEngine {
+  constructor(w, h, terrain, options = {}) {
+    this.w = w;
+    this.h = h;
+    this.start = options.start ?? 0; // default (0,0)
+    this.goal = options.goal ?? w * h - 1; // default (w-1,h-1)
+    this.goals = options.goals && options.goals.length ? options.goals : [this.goal]; // any of these ends the search
+    this.options = options;
+    this.movement = MOVEMENTS[options.movement] ? options.movement : "4";
+    this.heuristic = HEURISTICS[options.heuristic] ? options.heuristic : "manhattan";
+
+    this.terrain = terrain; // Uint8Array of terrain codes (see TERRAIN)
+    this.weighted = terrain.some((t) => t > WALL); // any cell costlier than road?
+
+    const n = w * h;
+    this.g = new Float64Array(n).fill(Infinity);
+    this.f = new Float64Array(n).fill(Infinity);
+    this.hScore = new Float64Array(n);
+    this.came = new Int32Array(n).fill(-1);
+    this.seq = new Int32Array(n); // insertion order: the final tie-break, so equal nodes stay first-in-first-out
+    this.nextSeq = 0;
+    this.open = new IndexedHeap(n, (a, b) => this.before(a, b) || (!this.before(b, a) && this.seq[a] < this.seq[b]));
+    this.inOpen = new Uint8Array(n); // 0/1 flag
+    this.closed = new Uint8Array(n); // 0/1 flag
+    this.isGoal = new Uint8Array(n); // 0/1 flag
+    for (const gi of this.goals) this.isGoal[gi] = 1;
+
+    // Precompute h to the nearest goal (a min of admissible estimates stays admissible)
+    const goalXY = this.goals.map((gi) => this.xy(gi));
+    const hFn = HEURISTICS[this.heuristic].h;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let best = Infinity;
+        for (const [gx, gy] of goalXY) best = Math.min(best, hFn(Math.abs(gx - x), Math.abs(gy - y)));
+        this.hScore[this.idx(x, y)] = best;
+      }
+    }
+
+    // Init start
+    this.g[this.start] = 0;
+    this.f[this.start] = this.score(0, this.hScore[this.start]);
+    this.seq[this.start] = this.nextSeq++;
+    this.open.push(this.start);
+    this.inOpen[this.start] = 1;
+
+    this.current = -1; // the node just popped this step
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter = 0;
+    this.furthest = 0; // highest iteration reached (the timeline's end)
+    this.log = new ExpansionLog();
+  }
+
+  // Cost of the found path (Infinity until the search succeeds)
+  get cost() { return this.success ? this.g[this.path[this.path.length - 1]] : Infinity; }
+
+  // Race stats: nodes popped and expanded (the final "open set empty" step isn't one), largest open set so far
+  get expanded() { return this.iter - (this.finished && !this.success ? 1 : 0); }
+  get peakOpen() { return Math.max(this.log.peakOpen(), this.open.length); }
+
+  idx(x, y) { return y * this.w + x; }
+  xy(i) { return [i % this.w, Math.floor(i / this.w)]; }
+
+  neighbors(i) { return gridNeighbors(this.w, this.h, this.terrain, this.movement, i); }
+
+  // Labels for the legend title
+  get costLabel() {
+    const step = MOVEMENTS[this.movement].diagonal ? "1/√2" : "1";
+    return this.weighted ? `g=terrain×${step}` : `g=${step}`;
+  }
+  get hLabel() { return HEURISTICS[this.heuristic].label; }
+
+  // Priority of a node with cost-so-far g and heuristic h (lower goes first).
+  score(g, h) { return g + h; }
+
+  // True if open node a should be expanded before b: lowest f, tie-break on lower h.
+  // Nodes that compare equal keep their insertion order (see seq).
+  before(a, b) {
+    return this.f[a] < this.f[b] || (this.f[a] === this.f[b] && this.hScore[a] < this.hScore[b]);
+  }
+
+  // May neighbor nb take the tentative cost gn? (only if it improves on the known g)
+  improves(nb, gn) { return !Number.isFinite(this.g[nb]) || gn < this.g[nb]; }
+
+  // Legend title, e.g. "A* Pathfinding (g=1, h=Manhattan)"
+  describe() { return `A* Pathfinding (${this.costLabel}, h=${this.hLabel})`; }
+
+  // Legend line explaining the score of node i
+  explain(i) {
+    return `Current f=g+h: ${fmt(this.f[i])} = ${fmt(this.g[i])} + ${fmt(this.hScore[i])}`;
+  }
+
+  // Hover readout for any cell, one string per line: position, terrain and search state, then
+  // its scores and the parent it was reached from
+  inspect(i) {
+    const [x, y] = this.xy(i); const t = this.terrain[i];
+    if (t === WALL) return [`(${x}, ${y}) wall`];
+    const label = TERRAIN[t].label.toLowerCase();
+    return [`(${x}, ${y}) ${this.weighted ? `${label}, cost ${TERRAIN[t].cost}` : label} · ${this.cellState(i)}`, ...this.scoreLines(i)];
+  }
+  cellState(i) { return this.closed[i] ? "closed" : this.inOpen[i] ? "open" : "not reached"; }
+  scoreLines(i) {
+    if (!Number.isFinite(this.g[i])) return [`h ${fmt(this.hScore[i])}`];
+    return [`g ${fmt(this.g[i])} · h ${fmt(this.hScore[i])} · f ${fmt(this.f[i])}`, parentLine(this.w, this.came[i], i)];
+  }
+
+  // One expansion step. Returns a snapshot of key info.
+  step() {
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+
+    // pick the open node that goes first (see before())
+    if (this.open.length === 0) {
+      this.log.begin(-1, 0);
+      this.finished = true;
+      this.success = false;
+      return { done: true };
+    }
+
+    // pop best
+    this.log.begin(this.open.peek(), this.open.length);
+    const current = this.open.pop();
+    this.current = current;
+    this.inOpen[current] = 0;
+    this.closed[current] = 1;
+
+    // goal check
+    if (this.isGoal[current]) {
+      this.finished = true;
+      this.success = true;
+      this.path = this.reconstructPath(current);
+      return { done: true };
+    }
+
+    // expand neighbors (walls are never returned)
+    for (const [nb, cost] of this.neighbors(current)) {
+      if (this.closed[nb]) continue;
+      const gn = this.g[current] + cost; // terrain cost, × √2 diagonally
+      if (!this.improves(nb, gn)) continue;
+      // better path found
+      this.log.record(nb, this.g[nb], this.f[nb], this.came[nb], this.inOpen[nb]);
+      this.came[nb] = current;
+      this.g[nb] = gn;
+      this.f[nb] = this.score(gn, this.hScore[nb]);
+      if (this.inOpen[nb]) this.open.update(nb); // decrease-key
+      else { this.seq[nb] = this.nextSeq++; this.open.push(nb); this.inOpen[nb] = 1; }
+    }
+
+    return { done: false, current, openCount: this.open.length, iter: this.iter };
+  }
+
+  // Undo the latest expansion from the log. Returns false at iteration 0.
+  stepBack() {
+    const log = this.log;
+    if (!log.count) return false;
+    log.count--;
+    const e = 3 * log.count;
+    const node = log.entries[e]; const first = log.entries[e + 1];
+
+    // revert neighbor updates newest-first; nodes it added leave the open set again
+    for (let c = 5 * (log.changeCount - 1); c >= 5 * first; c -= 5) {
+      const nb = log.changes[c];
+      this.g[nb] = log.changes[c + 1]; this.f[nb] = log.changes[c + 2]; this.came[nb] = log.changes[c + 3];
+      if (log.changes[c + 4]) this.open.update(nb);
+      else { this.open.remove(nb); this.inOpen[nb] = 0; this.nextSeq--; }
+    }
+    log.changeCount = first;
+
+    // put the popped node back (it keeps its seq, so ties resolve exactly as before)
+    if (node >= 0) {
+      this.closed[node] = 0;
+      this.inOpen[node] = 1;
+      this.open.push(node);
+    }
+    this.current = log.lastNode();
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter--;
+    return true;
+  }
+
+  reconstructPath(end) {
+    const path = [];
+    let cur = end;
+    while (cur !== -1) { path.push(cur); cur = this.came[cur]; }
+    return path.reverse();
+  }
+}
+
+// A*: f = g + h (optimal whenever h is admissible)
+export class AStarEngine extends GridSearchEngine {}
+
+// Weighted A*: f = g + ε·h. Greedier than A*; path cost is at most ε × optimal.
+export class WeightedAStarEngine extends GridSearchEngine {
+  get weight() { return this.options.weight ?? 1.5; }
+  score(g, h) { return g + this.weight * h; }
+  describe() { return `Weighted A* (ε=${this.weight.toFixed(1)}, h=${this.hLabel})`; }
+  explain(i) {
+    return `Current f=g+ε·h: ${fmt(this.f[i])} = ${fmt(this.g[i])} + ${this.weight.toFixed(1)}·${fmt(this.hScore[i])}`;
+  }
+}
+
+// Dijkstra: f = g, ignores the goal direction entirely, ties included (equal g keeps insertion
+// order rather than A*'s lower-h preference); optimal, explores in rings
+export class DijkstraEngine extends GridSearchEngine {
+  score(g) { return g; }
+  before(a, b) { return this.f[a] < this.f[b]; }
+  describe() { return `Dijkstra (${this.costLabel}, h=0)`; }
+  explain(i) { return `Current f=g: ${fmt(this.g[i])}   (h=${fmt(this.hScore[i])} unused)`; }
+}
+
+// Greedy Best-First: f = h, rushes toward the goal (fast, not optimal)
+export class GreedyBestFirstEngine extends GridSearchEngine {
+  score(g, h) { return h; }
+  describe() { return `Greedy Best-First (h=${this.hLabel})`; }
+  explain(i) { return `Current f=h: ${fmt(this.hScore[i])}   (g=${fmt(this.g[i])} unused)`; }
+}
+
+// Breadth-First Search: plain FIFO queue, first discovery wins (fewest moves, not least cost)
+export class BreadthFirstEngine extends GridSearchEngine {
+  score(g) { return g; }
+  before() { return false; } // open keeps insertion order → FIFO
+  improves(nb) { return !Number.isFinite(this.g[nb]); }
+  describe() { return "Breadth-First Search (FIFO)"; }
+  explain(i) { return `Current g: ${fmt(this.g[i])}   (FIFO order, h unused)`; }
+}
+
+// Bidirectional A*: one search grows from the start, one backward from the goal(s), taking turns.
+// Both are keyed by the balanced potential p = (h→goal − h→start) / 2 — forward g + p, backward
+// g − p — which makes them two Dijkstra runs over the same reduced costs. μ is the cheapest
+// start→goal route seen where the two searches' labels meet. Meeting isn't enough to stop: the
+// route is only proven shortest once top(forward) + top(backward) ≥ μ, since any better route
+// would still have a cell in each open set. The forward side is the usual engine surface;
+// the backward side is openB, closedB, gB, ….
+export class BidirectionalAStarEngine extends GridSearchEngine {
+  constructor(w, h, terrain, options = {}) {
+    super(w, h, terrain, options);
+    const n = w * h;
+    // h toward the start, then p; the forward start was keyed with plain h, so re-key it
+    const hFn = HEURISTICS[this.heuristic].h; const [sx, sy] = this.xy(this.start);
+    this.pot = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      const [x, y] = this.xy(i);
+      this.pot[i] = this.balanced ? (this.hScore[i] - hFn(Math.abs(sx - x), Math.abs(sy - y))) / 2 : 0;
+    }
+    this.f[this.start] = this.pot[this.start];
+
+    this.gB = new Float64Array(n).fill(Infinity);
+    this.fB = new Float64Array(n).fill(Infinity);
+    this.cameB = new Int32Array(n).fill(-1); // next cell toward the goal
+    this.seqB = new Int32Array(n);
+    this.openB = new IndexedHeap(n, (a, b) => this.beforeB(a, b) || (!this.beforeB(b, a) && this.seqB[a] < this.seqB[b]));
+    this.inOpenB = new Uint8Array(n);
+    this.closedB = new Uint8Array(n);
+    for (const gi of this.goals) {
+      this.gB[gi] = 0; this.fB[gi] = -this.pot[gi]; this.seqB[gi] = this.nextSeq++;
+      this.openB.push(gi); this.inOpenB[gi] = 1;
+    }
+    // per side: [forward, backward]; the typed arrays are shared with the fields above
+    this.sides = [
+      { g: this.g, f: this.f, came: this.came, seq: this.seq, open: this.open, inOpen: this.inOpen, closed: this.closed, sign: 1 },
+      { g: this.gB, f: this.fB, came: this.cameB, seq: this.seqB, open: this.openB, inOpen: this.inOpenB, closed: this.closedB, sign: -1 },
+    ];
+    this.expandedSide = [0, 0];
+    this.side = 1; // side of the latest expansion (so the forward side goes first)
+    this.mu = Infinity;
+    this.meet = -1; // cell where the best route joins the two searches
+    this.trace = []; // per step: [side, mu, meet] before it
+    this.log = new ExpansionLog(6); // [side, nb, g, f, came, wasOpen] per relaxation
+    if (this.isGoal[this.start]) { this.mu = 0; this.meet = this.start; }
+  }
+
+  get balanced() { return true; } // false: keys are plain g (BFS)
+  get cost() { return this.success ? this.pathCost : Infinity; }
+  get expanded() { return this.expandedSide[0] + this.expandedSide[1]; }
+  get expandedForward() { return this.expandedSide[0]; }
+  get expandedBackward() { return this.expandedSide[1]; }
+  get peakOpen() { return Math.max(this.log.peakOpen(), this.open.length + this.openB.length); }
+
+  describe() { return `Bidirectional A* (${this.costLabel}, h=${this.hLabel}, balanced)`; }
+  explain(i) {
+    const S = this.sides[this.side];
+    return `${this.side ? "Backward" : "Forward"} key g${this.side ? "−" : "+"}p: ${fmt(S.f[i])} = ${fmt(S.g[i])} ${this.side ? "−" : "+"} ${fmt(Math.abs(this.pot[i]))}   μ=${Number.isFinite(this.mu) ? fmt(this.mu) : "∞"}`;
+  }
+  cellState(i) {
+    const side = (S, name) => (S.closed[i] ? `${name} closed` : S.inOpen[i] ? `${name} open` : "");
+    return [side(this.sides[0], "forward"), side(this.sides[1], "backward")].filter(Boolean).join(", ") || "not reached";
+  }
+  scoreLines(i) {
+    const lines = [];
+    if (Number.isFinite(this.g[i])) lines.push(`forward g ${fmt(this.g[i])} · key ${fmt(this.f[i])} · ${parentLine(this.w, this.came[i], i)}`);
+    if (Number.isFinite(this.gB[i])) lines.push(`backward g ${fmt(this.gB[i])} · key ${fmt(this.fB[i])} · ${parentLine(this.w, this.cameB[i], i, "next")}`);
+    return lines.length ? lines : [`h ${fmt(this.hScore[i])}`];
+  }
+
+  // Open order per side: lowest key, then first-in-first-out
+  before(a, b) { return this.f[a] < this.f[b]; }
+  beforeB(a, b) { return this.fB[a] < this.fB[b]; }
+  edgeCost(a, b) { return stepCost(this.w, this.terrain, a, b); }
+
+  step() {
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+    this.trace.push([this.side, this.mu, this.meet]);
+
+    // stopping rule (an empty side's top is ∞)
+    const top = (S) => (S.open.length ? S.f[S.open.peek()] : Infinity);
+    if (top(this.sides[0]) + top(this.sides[1]) >= this.mu) {
+      this.log.begin(-1, this.open.length + this.openB.length);
+      this.finished = true;
+      this.success = Number.isFinite(this.mu);
+      if (this.success) this.path = this.joinPath();
+      return { done: true };
+    }
+
+    // sides take turns; one whose open set ran dry can't be picked (the rule above stopped)
+    const side = 1 - this.side;
+    const S = this.sides[side]; const T = this.sides[1 - side];
+    this.side = side;
+    this.log.begin(S.open.peek(), this.open.length + this.openB.length);
+    const u = S.open.pop();
+    S.inOpen[u] = 0; S.closed[u] = 1;
+    this.current = u;
+    this.expandedSide[side]++;
+
+    // forward relaxes u → nb, backward relaxes nb → u (same neighbor set both ways)
+    for (const [nb] of this.neighbors(u)) {
+      if (S.closed[nb]) continue;
+      const gn = S.g[u] + (side ? this.edgeCost(nb, u) : this.edgeCost(u, nb));
+      if (!this.improves(nb, gn, S)) continue;
+      const c = this.log.slot(); const d = this.log.changes;
+      d[c] = side; d[c + 1] = nb; d[c + 2] = S.g[nb]; d[c + 3] = S.f[nb]; d[c + 4] = S.came[nb]; d[c + 5] = S.inOpen[nb];
+      S.g[nb] = gn; S.f[nb] = gn + S.sign * this.pot[nb]; S.came[nb] = u;
+      if (S.inOpen[nb]) S.open.update(nb);
+      else { S.seq[nb] = this.nextSeq++; S.open.push(nb); S.inOpen[nb] = 1; }
+      if (gn + T.g[nb] < this.mu) { this.mu = gn + T.g[nb]; this.meet = nb; }
+    }
+    return { done: false, current: u, openCount: this.open.length + this.openB.length, iter: this.iter };
+  }
+
+  improves(nb, gn, S) { return gn < S.g[nb]; }
+
+  stepBack() {
+    const log = this.log;
+    if (!log.count) return false;
+    log.count--;
+    const e = 3 * log.count;
+    const node = log.entries[e]; const first = log.entries[e + 1];
+    const d = log.changes;
+    for (let c = 6 * (log.changeCount - 1); c >= 6 * first; c -= 6) {
+      const S = this.sides[d[c]]; const nb = d[c + 1];
+      S.g[nb] = d[c + 2]; S.f[nb] = d[c + 3]; S.came[nb] = d[c + 4];
+      if (d[c + 5]) S.open.update(nb);
+      else { S.open.remove(nb); S.inOpen[nb] = 0; this.nextSeq--; }
+    }
+    log.changeCount = first;
+    if (node >= 0) {
+      const S = this.sides[this.side];
+      S.closed[node] = 0; S.inOpen[node] = 1; S.open.push(node);
+      this.expandedSide[this.side]--;
+    }
+    [this.side, this.mu, this.meet] = this.trace.pop();
+    this.current = log.lastNode();
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter--;
+    return true;
+  }
+
+  // start → meet along the forward parents, then meet → goal along the backward ones
+  joinPath() {
+    const path = this.reconstructPath(this.meet);
+    for (let cur = this.cameB[this.meet]; cur !== -1; cur = this.cameB[cur]) path.push(cur);
+    this.pathCost = 0;
+    for (let k = 1; k < path.length; k++) this.pathCost += stepCost(this.w, this.terrain, path[k - 1], path[k]);
+    return path;
+  }
+}
+
+// Bidirectional BFS: both sides FIFO, first discovery wins, g counts moves. The same stopping
+// rule on move counts proves the fewest-moves route (its cost is priced on the terrain after).
+export class BidirectionalBFSEngine extends BidirectionalAStarEngine {
+  get balanced() { return false; }
+  before() { return false; }
+  beforeB() { return false; }
+  edgeCost() { return 1; }
+  improves(nb, gn, S) { return !Number.isFinite(S.g[nb]); }
+  describe() { return "Bidirectional BFS (FIFO both ways)"; }
+  explain(i) {
+    return `${this.side ? "Backward" : "Forward"} moves: ${fmt(this.sides[this.side].g[i])}   best meeting: ${Number.isFinite(this.mu) ? `${this.mu} moves` : "none yet"}`;
+  }
+}
+
+// Jump Point Search (Harabor & Grastien) for uniform-cost grids: A* over "jump points" only.
+// From each expanded node it prunes the neighbors that some other route reaches at least as
+// cheaply, then scans straight (and diagonally, sweeping straight side scans from every
+// diagonal cell) until a wall, the goal, or a cell with a forced neighbor — one only reachable
+// optimally through it. Only those cells are opened, so open maps cost a handful of expansions.
+// Rules per movement mode: 8 (diagonals may cut corners), 8-no-corner (both sides must be
+// open), 4 (straight only; vertical scans sweep sideways). Weighted terrain breaks the
+// uniform-cost symmetry it relies on, so then it simply runs as A*. `scanned` marks every cell a
+// scan looked at; rays() draws the latest expansion's scans; baselineExpanded is plain A*'s
+// count, once settle() has run that search.
+export class JumpPointEngine extends GridSearchEngine {
+  constructor(w, h, terrain, options = {}) {
+    super(w, h, terrain, options);
+    this.scanned = new Uint8Array(w * h); // 0/1
+    this.scanCells = []; // newly scanned cells, in order
+    this.scanStarts = []; // per expansion: where its cells start in scanCells
+    this.baselineExpanded = undefined; // see settle()
+    this.plain = null; // plain A* while settle() runs it
+  }
+
+  // Run plain A* on the same map and settings for up to `budget` steps, so a page can spread it
+  // over frames; true once baselineExpanded (undefined until then) holds its expansions
+  settle(budget = Infinity) {
+    if (this.baselineExpanded !== undefined) return true;
+    this.plain ??= new AStarEngine(this.w, this.h, this.terrain, this.options);
+    for (let k = 0; k < budget && !this.plain.finished; k++) this.plain.step();
+    if (!this.plain.finished) return false;
+    this.baselineExpanded = this.plain.expanded; this.plain = null;
+    return true;
+  }
+
+  describe() {
+    return this.weighted ? `Jump Point Search (terrain costs vary: runs as A*, h=${this.hLabel})` : `Jump Point Search (${MOVEMENTS[this.movement].label}, h=${this.hLabel})`;
+  }
+  cellState(i) {
+    if (this.weighted) return super.cellState(i);
+    if (this.closed[i] || this.inOpen[i]) return `jump point, ${super.cellState(i)}`;
+    return this.scanned[i] ? "scanned past" : "not reached";
+  }
+
+  passable(x, y) { return x >= 0 && y >= 0 && x < this.w && y < this.h && this.terrain[y * this.w + x] !== WALL; }
+
+  // Does (x, y), entered moving (dx, dy), have a forced neighbor?
+  forced(x, y, dx, dy) {
+    const P = (px, py) => this.passable(px, py);
+    if (this.movement === "8") {
+      if (dx && dy) return (P(x - dx, y + dy) && !P(x - dx, y)) || (P(x + dx, y - dy) && !P(x, y - dy));
+      if (dx) return (P(x + dx, y + 1) && !P(x, y + 1)) || (P(x + dx, y - 1) && !P(x, y - 1));
+      return (P(x + 1, y + dy) && !P(x + 1, y)) || (P(x - 1, y + dy) && !P(x - 1, y));
+    }
+    if (dx && dy) return false; // no corner cutting: diagonals rely on their side scans
+    if (dx) return (P(x, y - 1) && !P(x - dx, y - 1)) || (P(x, y + 1) && !P(x - dx, y + 1));
+    return (P(x - 1, y) && !P(x - 1, y - dy)) || (P(x + 1, y) && !P(x + 1, y - dy));
+  }
+
+  // Scan from (x, y) — the move into it already legal — in direction (dx, dy). Returns the jump
+  // point found, or -1 at a wall or the edge. visit(i) sees each scanned cell; rays, if given,
+  // collects every straight run as from, to pairs.
+  jump(x, y, dx, dy, visit, rays) {
+    const { w } = this; const from = y * w + x; let last = -1;
+    const found = (i) => { if (rays) rays.push(from, i); return i; };
+    for (;;) {
+      if (!this.passable(x, y)) { if (rays && last >= 0) rays.push(from, last); return -1; }
+      const i = y * w + x; last = i;
+      if (visit) visit(i);
+      if (this.isGoal[i] || this.forced(x, y, dx, dy)) return found(i);
+      if (dx && dy && (this.jump(x + dx, y, dx, 0, visit, rays) >= 0 || this.jump(x, y + dy, 0, dy, visit, rays) >= 0)) return found(i);
+      if (this.movement === "4" && dy && (this.jump(x + 1, y, 1, 0, visit, rays) >= 0 || this.jump(x - 1, y, -1, 0, visit, rays) >= 0)) return found(i);
+      // without corner cutting the next diagonal step needs both sides open
+      if (dx && dy && this.movement === "8-no-corner" && !(this.passable(x + dx, y) && this.passable(x, y + dy))) {
+        if (rays) rays.push(from, i);
+        return -1;
+      }
+      x += dx; y += dy;
+    }
+  }
+
+  // Neighbors of u left after pruning, as [x, y, dx, dy] (all legal moves at the start)
+  successors(u) {
+    const [x, y] = this.xy(u); const p = this.came[u];
+    if (p < 0) return this.neighbors(u).map(([j]) => { const [nx, ny] = this.xy(j); return [nx, ny, nx - x, ny - y]; });
+    const [px, py] = this.xy(p);
+    const dx = Math.sign(x - px); const dy = Math.sign(y - py);
+    const P = (qx, qy) => this.passable(qx, qy);
+    const out = [];
+    const add = (ddx, ddy) => out.push([x + ddx, y + ddy, ddx, ddy]);
+    if (this.movement === "8") {
+      if (dx && dy) {
+        add(0, dy); add(dx, 0); add(dx, dy);
+        if (!P(x - dx, y)) add(-dx, dy);
+        if (!P(x, y - dy)) add(dx, -dy);
+      } else if (dx) {
+        add(dx, 0);
+        if (!P(x, y + 1)) add(dx, 1);
+        if (!P(x, y - 1)) add(dx, -1);
+      } else {
+        add(0, dy);
+        if (!P(x + 1, y)) add(1, dy);
+        if (!P(x - 1, y)) add(-1, dy);
+      }
+    } else if (this.movement === "8-no-corner") {
+      if (dx && dy) {
+        add(0, dy); add(dx, 0);
+        if (P(x, y + dy) && P(x + dx, y)) add(dx, dy);
+      } else if (dx) {
+        const next = P(x + dx, y); const down = P(x, y + 1); const up = P(x, y - 1);
+        if (next) { add(dx, 0); if (down) add(dx, 1); if (up) add(dx, -1); }
+        if (down) add(0, 1);
+        if (up) add(0, -1);
+      } else {
+        const next = P(x, y + dy); const right = P(x + 1, y); const left = P(x - 1, y);
+        if (next) { add(0, dy); if (right) add(1, dy); if (left) add(-1, dy); }
+        if (right) add(1, 0);
+        if (left) add(-1, 0);
+      }
+    } else if (dx) {
+      add(0, -1); add(0, 1); add(dx, 0);
+    } else {
+      add(-1, 0); add(1, 0); add(0, dy);
+    }
+    return out;
+  }
+
+  step() {
+    if (this.weighted) return super.step();
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+    this.scanStarts.push(this.scanCells.length);
+
+    if (this.open.length === 0) {
+      this.log.begin(-1, 0);
+      this.finished = true;
+      this.success = false;
+      return { done: true };
+    }
+
+    this.log.begin(this.open.peek(), this.open.length);
+    const current = this.open.pop();
+    this.current = current;
+    this.inOpen[current] = 0;
+    this.closed[current] = 1;
+
+    if (this.isGoal[current]) {
+      this.finished = true;
+      this.success = true;
+      this.path = this.reconstructPath(current);
+      return { done: true };
+    }
+
+    const visit = (i) => { if (!this.scanned[i]) { this.scanned[i] = 1; this.scanCells.push(i); } };
+    const [cx, cy] = this.xy(current);
+    for (const [nx, ny, dx, dy] of this.successors(current)) {
+      const jp = this.jump(nx, ny, dx, dy, visit);
+      if (jp < 0 || this.closed[jp]) continue;
+      const [jx, jy] = this.xy(jp);
+      const ax = Math.abs(jx - cx); const ay = Math.abs(jy - cy);
+      const gn = this.g[current] + Math.abs(ax - ay) + Math.SQRT2 * Math.min(ax, ay); // one straight or diagonal run
+      if (!this.improves(jp, gn)) continue;
+      this.log.record(jp, this.g[jp], this.f[jp], this.came[jp], this.inOpen[jp]);
+      this.came[jp] = current;
+      this.g[jp] = gn;
+      this.f[jp] = this.score(gn, this.hScore[jp]);
+      if (this.inOpen[jp]) this.open.update(jp);
+      else { this.seq[jp] = this.nextSeq++; this.open.push(jp); this.inOpen[jp] = 1; }
+    }
+    return { done: false, current, openCount: this.open.length, iter: this.iter };
+  }
+
+  stepBack() {
+    if (!super.stepBack()) return false;
+    if (!this.weighted) {
+      const from = this.scanStarts.pop();
+      for (let k = from; k < this.scanCells.length; k++) this.scanned[this.scanCells[k]] = 0;
+      this.scanCells.length = from;
+    }
+    return true;
+  }
+
+  // The scans the latest expansion made, as from, to cell pairs (recomputed: they only depend on
+  // the node and its parent, which a closed node keeps)
+  rays() {
+    const u = this.current; const rays = [];
+    if (u < 0 || this.weighted || this.isGoal[u]) return rays;
+    for (const [nx, ny, dx, dy] of this.successors(u)) this.jump(nx, ny, dx, dy, null, rays);
+    return rays;
+  }
+
+  // Jump points joined by their straight or diagonal runs, cell by cell
+  reconstructPath(end) {
+    const points = super.reconstructPath(end);
+    if (this.weighted) return points;
+    const path = [points[0]];
+    for (let k = 1; k < points.length; k++) {
+      let [x, y] = this.xy(points[k - 1]); const [tx, ty] = this.xy(points[k]);
+      const dx = Math.sign(tx - x); const dy = Math.sign(ty - y);
+      while (x !== tx || y !== ty) { x += dx; y += dy; path.push(this.idx(x, y)); }
+    }
+    return path;
+  }
+}
+
+// LPA* (Lifelong Planning A*, Koenig & Likhachev): besides g every cell keeps rhs, the best
+// g(p) + cost(p → cell) over its neighbors. A cell is consistent when g = rhs; only inconsistent
+// cells are open, keyed [min(g, rhs) + h, min(g, rhs)]. Run once it expands like A*, but after
+// terrainChanged() it re-opens only the cells whose rhs the edit touched and repairs the old
+// search tree from there instead of starting over. came holds the rhs argmin, so the path is
+// read off it. Edits can't be undone, so the timeline starts again at the latest one.
+export class LifelongPlanningEngine extends GridSearchEngine {
+  constructor(w, h, terrain, options = {}) {
+    super(w, h, terrain, options);
+    const n = w * h;
+    this.rhs = new Float64Array(n).fill(Infinity);
+    this.k2 = new Float64Array(n); // second key; f holds the first
+    this.reopened = new Uint8Array(n); // 0/1: settled once, open again after an edit
+    this.expansions = 0;
+    this.edits = 0;
+    this.historyStart = 0; // earliest iteration stepBack() can reach
+    this.peakBase = 0; // largest open set before the latest edit
+    this.log = new ExpansionLog(8);
+    // the start is the only inconsistent cell: g = ∞, rhs = 0 (super left it open with f = h)
+    this.g[this.start] = Infinity; this.rhs[this.start] = 0; this.k2[this.start] = 0;
+  }
+
+  get expanded() { return this.expansions; }
+  get peakOpen() { return Math.max(this.peakBase, this.log.peakOpen(), this.open.length); }
+
+  describe() { return `LPA* (${this.costLabel}, h=${this.hLabel})`; }
+  explain(i) {
+    return `Current key: ${fmt(this.f[i])} = min(g ${fmt(this.g[i])}, rhs ${fmt(this.rhs[i])}) + ${fmt(this.hScore[i])}`;
+  }
+  cellState(i) { return this.inOpen[i] && this.reopened[i] ? "re-opened by an edit" : super.cellState(i); }
+  scoreLines(i) {
+    if (!Number.isFinite(this.g[i]) && !Number.isFinite(this.rhs[i])) return [`h ${fmt(this.hScore[i])}`];
+    const consistent = this.g[i] === this.rhs[i] ? "consistent" : "inconsistent";
+    return [`g ${fmt(this.g[i])} · rhs ${fmt(this.rhs[i])} (${consistent}) · h ${fmt(this.hScore[i])}`, parentLine(this.w, this.came[i], i)];
+  }
+
+  // Lexicographic key order [f, k2]
+  before(a, b) { return this.f[a] < this.f[b] || (this.f[a] === this.f[b] && this.k2[a] < this.k2[b]); }
+
+  // Undo-log cell s's whole state before it changes
+  save(s) {
+    const c = this.log.slot();
+    const changes = this.log.changes; // read after slot(): it may have grown the buffer
+    changes[c] = s; changes[c + 1] = this.g[s]; changes[c + 2] = this.rhs[s]; changes[c + 3] = this.f[s];
+    changes[c + 4] = this.k2[s]; changes[c + 5] = this.seq[s]; changes[c + 6] = this.came[s];
+    changes[c + 7] = this.inOpen[s] | (this.closed[s] << 1) | (this.reopened[s] << 2);
+  }
+
+  // Recompute rhs(s) and put s in the open set exactly when it is inconsistent
+  updateVertex(s) {
+    this.save(s);
+    if (s !== this.start) {
+      let best = Infinity; let from = -1;
+      if (this.terrain[s] !== WALL) {
+        for (const [p] of this.neighbors(s)) {
+          const c = this.g[p] + stepCost(this.w, this.terrain, p, s);
+          if (c < best) { best = c; from = p; }
+        }
+      }
+      this.rhs[s] = best; this.came[s] = from;
+    }
+    if (this.inOpen[s]) { this.open.remove(s); this.inOpen[s] = 0; }
+    if (this.g[s] === this.rhs[s]) { this.reopened[s] = 0; return; }
+    const k = Math.min(this.g[s], this.rhs[s]);
+    this.f[s] = k + this.hScore[s]; this.k2[s] = k; this.seq[s] = this.nextSeq++;
+    if (Number.isFinite(this.g[s])) this.reopened[s] = 1; // a settled cell has to be repaired
+    this.open.push(s); this.inOpen[s] = 1;
+  }
+
+  // The search may stop once the open set is empty or a goal is consistent with a key no worse
+  // than the best open one. Returns the cheapest such goal, -1 for "no path", null to go on.
+  // Keys summed along different routes can differ in the last bits, so they compare with a
+  // tolerance: a repaired cell tied with the goal must still be expanded first. With an
+  // inconsistent h (Manhattan on 8-way moves) the key test alone can pass while the goal's
+  // parent chain still runs through a stale cell, so the whole chain must be consistent too.
+  settledGoal() {
+    const top = this.open.length ? this.open.peek() : -1;
+    const EPS = 1e-9;
+    let best = -1;
+    for (const gi of this.goals) {
+      const k = this.g[gi];
+      if (k !== this.rhs[gi] || !Number.isFinite(k)) continue;
+      const k1 = k + this.hScore[gi];
+      if (top >= 0 && (this.f[top] < k1 - EPS || (this.f[top] <= k1 + EPS && this.k2[top] < k - EPS))) continue;
+      if (!this.chainConsistent(gi)) continue;
+      if (best < 0 || k < this.g[best]) best = gi;
+    }
+    return best >= 0 || top < 0 ? best : null;
+  }
+
+  chainConsistent(i) {
+    for (; i !== -1; i = this.came[i]) if (this.g[i] !== this.rhs[i]) return false;
+    return true;
+  }
+
+  step() {
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+
+    const end = this.settledGoal();
+    if (end !== null) {
+      this.log.begin(-1, this.open.length);
+      this.finished = true;
+      this.success = end >= 0;
+      this.path = this.success ? this.reconstructPath(end) : [];
+      return { done: true };
+    }
+
+    const u = this.open.peek();
+    this.log.begin(u, this.open.length);
+    this.save(u);
+    this.open.pop(); this.inOpen[u] = 0;
+    this.current = u;
+    this.expansions++;
+    if (this.g[u] > this.rhs[u]) {
+      // overconsistent: settle it at rhs, like an A* expansion
+      this.g[u] = this.rhs[u]; this.closed[u] = 1; this.reopened[u] = 0;
+    } else {
+      // underconsistent: its old cost is gone, so it and every cell it fed re-derive rhs
+      this.g[u] = Infinity; this.closed[u] = 0;
+      this.updateVertex(u);
+    }
+    for (const [s] of this.neighbors(u)) this.updateVertex(s);
+    return { done: false, current: u, openCount: this.open.length, iter: this.iter };
+  }
+
+  stepBack() {
+    const log = this.log;
+    if (!log.count) return false;
+    log.count--;
+    const e = 3 * log.count;
+    const node = log.entries[e]; const first = log.entries[e + 1];
+    const d = log.changes;
+    for (let c = 8 * (log.changeCount - 1); c >= 8 * first; c -= 8) {
+      const s = d[c];
+      this.g[s] = d[c + 1]; this.rhs[s] = d[c + 2]; this.f[s] = d[c + 3]; this.k2[s] = d[c + 4];
+      this.seq[s] = d[c + 5]; this.came[s] = d[c + 6];
+      const flags = d[c + 7]; const wasOpen = flags & 1;
+      this.closed[s] = (flags >> 1) & 1; this.reopened[s] = (flags >> 2) & 1;
+      if (wasOpen) { if (this.inOpen[s]) this.open.update(s); else this.open.push(s); } else if (this.inOpen[s]) this.open.remove(s);
+      this.inOpen[s] = wasOpen;
+    }
+    log.changeCount = first;
+    if (node >= 0) this.expansions--;
+    this.current = log.lastNode();
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter--;
+    return true;
+  }
+
+  // The caller changed terrain at `cells` (the array is shared, so it edits it once for every
+  // engine). Each changed cell and its 8 neighbors re-derive rhs: that covers every move into a
+  // changed cell and every diagonal that squeezes past one. The search resumes from there.
+  terrainChanged(cells) {
+    const touched = new Set();
+    for (const i of cells) {
+      if (this.terrain[i] > WALL) this.weighted = true;
+      const [x, y] = this.xy(i);
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(this.h - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(this.w - 1, x + 1); nx++) touched.add(this.idx(nx, ny));
+      }
+    }
+    for (const s of touched) this.updateVertex(s);
+    this.peakBase = this.peakOpen;
+    this.log = new ExpansionLog(8); // the saves above are not steps: history restarts here
+    this.historyStart = this.iter;
+    this.furthest = this.iter;
+    this.edits++;
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+  }
+}
+
+// Selectable algorithms (control panel order)
+export const ALGORITHMS = {
+  astar: { label: "A*", Engine: AStarEngine, usesHeuristic: true },
+  weighted: { label: "Weighted A*", Engine: WeightedAStarEngine, usesHeuristic: true },
+  dijkstra: { label: "Dijkstra", Engine: DijkstraEngine, usesHeuristic: false },
+  greedy: { label: "Greedy Best-First", Engine: GreedyBestFirstEngine, usesHeuristic: true },
+  bfs: { label: "Breadth-First Search", Engine: BreadthFirstEngine, usesHeuristic: false },
+  "bi-astar": { label: "Bidirectional A*", Engine: BidirectionalAStarEngine, usesHeuristic: true },
+  "bi-bfs": { label: "Bidirectional BFS", Engine: BidirectionalBFSEngine, usesHeuristic: false },
+  jps: { label: "Jump Point Search", Engine: JumpPointEngine, usesHeuristic: true },
+  lpa: { label: "LPA* (incremental)", Engine: LifelongPlanningEngine, usesHeuristic: true },
+};
+
+export function createEngine(algorithm, w, h, terrain, options) {
+  const { Engine } = ALGORITHMS[algorithm] || ALGORITHMS.astar;
+  return new Engine(w, h, terrain, options);
+}
+
+// Move an engine to iteration `target`: back through its log, forward by re-stepping
+// (stepping is deterministic, so replaying forward reproduces the same run).
+export function seekEngine(eng, target) {
+  while (eng.iter > target) if (!eng.stepBack()) break;
+  while (eng.iter < target && !eng.finished) eng.step();
+}
+
+// Race mode summary, one row per engine run side by side. The winner is the first engine to reach
+// the goal — in lockstep that is the fewest expansions — with ties going to the cheaper path;
+// null until one arrives.
+export function raceSummary(racers, ids) {
+  const rows = racers.map((eng, k) => ({
+    label: ALGORITHMS[ids[k]].label,
+    expanded: eng.expanded,
+    peakOpen: eng.peakOpen,
+    cost: eng.cost,
+    length: eng.success ? eng.path.length - 1 : null, // moves, not cells
+    finished: eng.finished,
+    success: eng.success,
+  }));
+  let winner = null;
+  rows.forEach((r, k) => {
+    if (!r.success) return;
+    const w = winner === null ? null : rows[winner];
+    if (!w || r.expanded < w.expanded || (r.expanded === w.expanded && r.cost < w.cost)) winner = k;
+  });
+  const arrived = rows.filter((r) => r.success);
+  const bestCost = arrived.length ? Math.min(...arrived.map((r) => r.cost)) : Infinity;
+  return { rows, winner, bestCost };
+}
+
+// What a screen reader hears once every engine has finished, e.g. "Goal reached, path length
+// 98, cost 112.41, 640 nodes expanded"; null while any is still searching
+export function finishAnnouncement(racers, ids) {
+  if (!racers.length || !racers.every((r) => r.finished)) return null;
+  if (racers.length === 1) {
+    const eng = racers[0];
+    return eng.success
+      ? `Goal reached, path length ${eng.path.length - 1}, cost ${fmt(eng.cost)}, ${eng.expanded} nodes expanded`
+      : `No path: the goal can't be reached (${eng.expanded} nodes expanded)`;
+  }
+  const { rows, winner } = raceSummary(racers, ids);
+  if (winner === null) return "Race over: no engine reached the goal";
+  const r = rows[winner];
+  return `Race over: ${r.label} wins with ${r.expanded} nodes expanded, path length ${r.length}, cost ${fmt(r.cost)}`;
+}
+
+// --- Waypoint routes --------------------------------------------------------
+
+// Ordered tour start → waypoint 1 → … → goal, searched one leg at a time with the
+// selected algorithm. Exposes the single-engine surface; open/closed/g/… belong to
+// the leg being searched, and `legs` records each finished leg's path, cost and iterations.
+export class RouteEngine {
+  constructor(algorithm, w, h, terrain, options, stops) {
+    this.algorithm = algorithm;
+    this.w = w;
+    this.h = h;
+    this.terrain = terrain;
+    this.options = options;
+    this.stops = stops; // [start, ...waypoints, goal]
+    this.start = stops[0];
+    this.goal = stops[stops.length - 1];
+    this.legs = [];
+    this.legEngines = [this.createLeg(0)]; // kept so the timeline can step back across legs
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter = 0;
+    this.furthest = 0;
+  }
+
+  get leg() { return this.legEngines[this.legEngines.length - 1]; }
+
+  createLeg(k) {
+    return createEngine(this.algorithm, this.w, this.h, this.terrain, { ...this.options, start: this.stops[k], goal: this.stops[k + 1] });
+  }
+
+  // the current leg's search state, for draw()
+  get open() { return this.leg.open; }
+  get closed() { return this.leg.closed; }
+  get g() { return this.leg.g; }
+  get f() { return this.leg.f; }
+  get hScore() { return this.leg.hScore; }
+  get came() { return this.leg.came; }
+  get inOpen() { return this.leg.inOpen; }
+  get openB() { return this.leg.openB; } // bidirectional legs' backward side
+  get closedB() { return this.leg.closedB; }
+  get inOpenB() { return this.leg.inOpenB; }
+  get expandedForward() { return this.leg.expandedForward; }
+  get expandedBackward() { return this.leg.expandedBackward; }
+  get meet() { return this.leg.meet ?? -1; }
+  get scanned() { return this.leg.scanned; } // jump point search legs
+  rays() { return this.leg.rays ? this.leg.rays() : []; }
+  get current() { return this.leg.current; }
+  get weighted() { return this.leg.weighted; }
+  get cost() { return this.success ? this.legs.reduce((sum, leg) => sum + leg.cost, 0) : Infinity; }
+  get expanded() { return this.iter - (this.finished && !this.success ? 1 : 0); }
+  get peakOpen() { return Math.max(...this.legEngines.map((leg) => leg.peakOpen)); }
+
+  step() {
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+    const res = this.leg.step();
+    if (!this.leg.finished) return res;
+
+    this.legs.push({ path: this.leg.path, cost: this.leg.cost, iter: this.leg.iter });
+    if (!this.leg.success) {
+      this.finished = true;
+      this.success = false;
+      return { done: true };
+    }
+    if (this.legs.length === this.stops.length - 1) {
+      this.finished = true;
+      this.success = true;
+      this.path = this.legs.flatMap((leg, k) => (k === 0 ? leg.path : leg.path.slice(1))); // drop repeated joints
+      return { done: true };
+    }
+    this.legEngines.push(this.createLeg(this.legs.length));
+    return { done: false, current: res.current, openCount: this.leg.open.length, iter: this.iter };
+  }
+
+  // Undo one expansion; stepping back from a fresh leg returns to the end of the previous one
+  stepBack() {
+    if (this.iter === 0) return false;
+    if (!this.finished && this.leg.iter === 0) this.legEngines.pop();
+    if (this.legs.length === this.legEngines.length) this.legs.pop(); // the leg being undone had finished
+    this.leg.stepBack();
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter--;
+    return true;
+  }
+
+  describe() { return `${this.leg.describe()} · leg ${Math.min(this.legs.length + 1, this.stops.length - 1)}/${this.stops.length - 1}`; }
+  explain(i) { return this.leg.explain(i); }
+  inspect(i) { return this.leg.inspect(i); }
+}
+
+// BFS to check if a path exists (used to guarantee solvable obstacle layouts)
+export function pathExists(w, h, terrain, movement = "4", start = 0, goal = w * h - 1) {
+  if (terrain[start] === WALL || terrain[goal] === WALL) return false;
+  const q = new RingQueue(w * h); const seen = new Uint8Array(w * h);
+  q.push(start); seen[start] = 1;
+  while (q.length) {
+    const i = q.shift(); if (i === goal) return true;
+    for (const [j] of gridNeighbors(w, h, terrain, movement, i)) {
+      if (!seen[j]) { seen[j] = 1; q.push(j); }
+    }
+  }
+  return false;
+}
+
+// --- Fog-of-war agent -------------------------------------------------------
+// A robot walks from start to goal knowing only what its sensor has shown: each cell with
+// dx² + dy² ≤ r(r+1) (a disk of radius about r + ½, so r = 1 sees all 8 neighbors; walls don't
+// block the view) reveals its real terrain, and unseen cells are assumed to be open road. It
+// follows a plan from the selected algorithm over that belief and replans from where it stands
+// once a revealed cell blocks or reprices the rest of the plan. The belief never has more walls
+// than the real map, so a failed plan proves there is no path.
+// One step() = replan if needed, move one cell, sense. The engine surface describes the robot:
+// current = its cell, path = its trail once it arrives, `plan` (from planAt on) the route ahead.
+export class FogAgent {
+  constructor(algorithm, w, h, terrain, options = {}) {
+    this.algorithm = algorithm;
+    this.w = w;
+    this.h = h;
+    this.terrain = terrain; // the real map (drawn dimmed under the fog)
+    this.options = options;
+    this.movement = MOVEMENTS[options.movement] ? options.movement : "4";
+    this.radius = options.radius ?? 3;
+    this.start = options.start ?? 0;
+    this.goal = options.goal ?? w * h - 1;
+    this.goals = [this.goal];
+    this.weighted = terrain.some((t) => t > WALL);
+
+    const n = w * h;
+    this.known = new Uint8Array(n); // believed terrain: ROAD until seen
+    this.seen = new Uint8Array(n); // 0/1
+    this.open = []; this.closed = new Uint8Array(n); this.inOpen = new Uint8Array(n); // no search overlay
+    this.current = this.start;
+    this.trail = [this.start];
+    this.plan = null; // cells from the robot's cell to the goal; null = replan before moving
+    this.planAt = 0; // index of the robot's cell in plan
+    this.travelled = 0; // real cost of the moves made
+    this.replans = 0;
+    this.expansions = 0; // summed over every plan
+    this.peak = 0; // largest open set of any plan
+    this.history = []; // per step: what stepBack() restores
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter = 0;
+    this.furthest = 0;
+    this.optimalCost = undefined; // see settle()
+    this.oracle = null; // the whole-map search while settle() runs it
+    this.sense();
+  }
+
+  // Run the search of a robot that knew the whole map (A* with an admissible h) for up to
+  // `budget` steps, as JumpPointEngine does; true once optimalCost (undefined until then) holds its cost
+  settle(budget = Infinity) {
+    if (this.optimalCost !== undefined) return true;
+    this.oracle ??= createEngine("astar", this.w, this.h, this.terrain, {
+      movement: this.movement, heuristic: MOVEMENTS[this.movement].diagonal ? "octile" : "manhattan", start: this.start, goal: this.goal,
+    });
+    for (let k = 0; k < budget && !this.oracle.finished; k++) this.oracle.step();
+    if (!this.oracle.finished) return false;
+    this.optimalCost = this.oracle.cost; this.oracle = null;
+    return true;
+  }
+
+  get cost() { return this.success ? this.travelled : Infinity; }
+  get expanded() { return this.expansions; }
+  get peakOpen() { return this.peak; }
+
+  describe() { return `Fog-of-war agent (${ALGORITHMS[this.algorithm].label}, sensor r=${this.radius})`; }
+  explain() {
+    const optimal = this.optimalCost === undefined ? "…" : Number.isFinite(this.optimalCost) ? fmt(this.optimalCost) : "none";
+    return `Travelled ${fmt(this.travelled)} · optimal ${optimal} · ${this.replans} plan${this.replans === 1 ? "" : "s"}`;
+  }
+  inspect(i) {
+    const where = `(${i % this.w}, ${Math.floor(i / this.w)})`;
+    if (!this.seen[i]) return [`${where} in fog · assumed open`];
+    const t = this.terrain[i];
+    const lines = [`${where} ${t === WALL ? "wall" : TERRAIN[t].label.toLowerCase()} · sensed`];
+    if (i === this.current) lines.push("the robot is here");
+    else if (this.trail.includes(i)) lines.push("on the trail walked");
+    if (this.plan && this.plan.indexOf(i) > this.planAt) lines.push("on the current plan");
+    return lines;
+  }
+
+  // Reveal the cells around the robot; returns the newly seen ones
+  sense() {
+    const { w, h, radius: r } = this;
+    const x = this.current % w; const y = Math.floor(this.current / w);
+    const revealed = [];
+    for (let ny = Math.max(0, y - r); ny <= Math.min(h - 1, y + r); ny++) {
+      for (let nx = Math.max(0, x - r); nx <= Math.min(w - 1, x + r); nx++) {
+        const i = ny * w + nx;
+        if (this.seen[i] || (nx - x) ** 2 + (ny - y) ** 2 > r * (r + 1)) continue;
+        this.seen[i] = 1; this.known[i] = this.terrain[i]; revealed.push(i);
+      }
+    }
+    return revealed;
+  }
+
+  // Cells from the robot to the goal over the current belief, or null if there is no route
+  replan() {
+    const eng = createEngine(this.algorithm, this.w, this.h, this.known, { ...this.options, start: this.current, goal: this.goal });
+    while (!eng.finished) eng.step();
+    this.replans++;
+    this.expansions += eng.expanded;
+    this.peak = Math.max(this.peak, eng.peakOpen);
+    return eng.success ? eng.path : null;
+  }
+
+  // Does newly revealed ground invalidate the rest of the plan? Anything but road on it reprices
+  // or blocks it; a wall beside it can also rule out a diagonal squeeze past a corner.
+  planStale(revealed) {
+    const found = revealed.filter((i) => this.known[i] !== ROAD);
+    if (!found.length) return false;
+    const ahead = new Set(this.plan.slice(this.planAt));
+    if (found.some((i) => ahead.has(i))) return true;
+    for (let k = this.planAt + 1; k < this.plan.length; k++) {
+      const a = this.plan[k - 1]; const b = this.plan[k];
+      if (!gridNeighbors(this.w, this.h, this.known, this.movement, a).some(([j]) => j === b)) return true;
+    }
+    return false;
+  }
+
+  step() {
+    if (this.finished) return { done: true };
+    this.iter++;
+    this.furthest = Math.max(this.furthest, this.iter);
+    const undo = {
+      plan: this.plan, planAt: this.planAt, travelled: this.travelled, replans: this.replans,
+      expansions: this.expansions, peak: this.peak, moved: false, revealed: [],
+    };
+    this.history.push(undo);
+    if (this.current === this.goal) return this.arrive(); // started on the goal: nothing to walk
+
+    if (!this.plan) {
+      this.plan = this.replan(); this.planAt = 0;
+      if (!this.plan) {
+        this.finished = true;
+        this.success = false;
+        return { done: true };
+      }
+    }
+
+    // one move along the plan (its next cell is always sensed, so the move is real)
+    const next = this.plan[++this.planAt];
+    this.travelled += stepCost(this.w, this.terrain, this.current, next);
+    this.current = next; this.trail.push(next); undo.moved = true;
+    undo.revealed = this.sense();
+    if (this.current === this.goal) return this.arrive();
+    if (this.planStale(undo.revealed)) this.plan = null;
+    return { done: false, current: next, openCount: 0, iter: this.iter };
+  }
+
+  arrive() {
+    this.finished = true;
+    this.success = true;
+    this.path = this.trail.slice();
+    return { done: true };
+  }
+
+  stepBack() {
+    const undo = this.history.pop();
+    if (!undo) return false;
+    if (undo.moved) { this.trail.pop(); this.current = this.trail[this.trail.length - 1]; }
+    for (const i of undo.revealed) { this.seen[i] = 0; this.known[i] = ROAD; }
+    this.plan = undo.plan; this.planAt = undo.planAt; this.travelled = undo.travelled; this.replans = undo.replans;
+    this.expansions = undo.expansions; this.peak = undo.peak;
+    this.finished = false;
+    this.success = false;
+    this.path = [];
+    this.iter--;
+    return true;
+  }
+}
+
+// --- Engine specs and state transfer -------------------------------------------
+// A spec names an engine the way the page builds it, so a worker can build the same one:
+// { algorithm, options } for a plain search, plus `stops` for a waypoint route or `agent: true`
+// (sensor radius in options.radius) for the fog-of-war agent.
+export function engineFromSpec(spec, w, h, terrain) {
+  if (spec.agent) return new FogAgent(spec.algorithm, w, h, terrain, spec.options);
+  if (spec.stops) return new RouteEngine(spec.algorithm, w, h, terrain, spec.options, spec.stops);
+  return createEngine(spec.algorithm, w, h, terrain, spec.options);
+}
+
+// engineState() copies an engine's own fields into plain data for postMessage: typed arrays go
+// by reference and their buffers are listed in `transfer`, so they move instead of being copied
+// (the engine is spent afterwards). Functions (heap comparators), options and the terrain the
+// page already has stay behind; an object reached twice (bidirectional `sides` alias the heaps)
+// is copied once, and structured cloning keeps it shared. adoptEngineState() writes such a copy
+// into an engine built from the same spec over the same terrain: it ends up in the copied
+// engine's state with its own methods, comparators and shared terrain, and steps or steps back
+// from there as usual.
+export function engineState(eng) {
+  const transfer = new Set(); const copies = new Map();
+  const copy = (v) => {
+    if (ArrayBuffer.isView(v)) { transfer.add(v.buffer); return v; }
+    if (!v || typeof v !== "object") return v;
+    if (copies.has(v)) return copies.get(v);
+    const out = Array.isArray(v) ? [] : {}; copies.set(v, out);
+    for (const [k, x] of Object.entries(v)) if (typeof x !== "function" && k !== "options" && x !== eng.terrain) out[k] = copy(x);
+    return out;
+  };
+  return { state: copy(eng), transfer: [...transfer] };
+}
+
+export function adoptEngineState(eng, state) {
+  const isInstance = (v) => v && typeof v === "object" && !Array.isArray(v) && !ArrayBuffer.isView(v) && Object.getPrototypeOf(v) !== Object.prototype;
+  const instanceList = (v) => Array.isArray(v) && v.some(isInstance);
+  // a route's later legs don't exist on the page yet
+  if (eng instanceof RouteEngine) while (eng.legEngines.length < state.legEngines.length) eng.legEngines.push(eng.createLeg(eng.legEngines.length));
+
+  // first pair every copied instance (heap, log, leg engine) with the page's own, so that
+  // plain fields referring to one (bidirectional `sides`) get the page's object back
+  const own = new Map();
+  const pair = (target, src) => {
+    own.set(src, target);
+    for (const [k, v] of Object.entries(src)) {
+      if (isInstance(target[k]) && v) pair(target[k], v);
+      else if (instanceList(target[k])) { target[k].length = v.length; v.forEach((x, j) => pair(target[k][j], x)); }
+    }
+  };
+  const resolve = (v) => {
+    if (own.has(v)) return own.get(v);
+    if (Array.isArray(v)) return v.map(resolve);
+    if (v && typeof v === "object" && !ArrayBuffer.isView(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, resolve(x)]));
+    return v;
+  };
+  const adopt = (target, src) => {
+    for (const [k, v] of Object.entries(src)) {
+      if (isInstance(target[k]) && v) adopt(target[k], v); // keep the object (and its comparator), take its fields
+      else if (instanceList(target[k])) v.forEach((x, j) => adopt(target[k][j], x));
+      else target[k] = resolve(v);
+    }
+  };
+  pair(eng, state);
+  adopt(eng, state);
+  return eng;
+}
+
+// --- Map generators ---------------------------------------------------------
+// Each generator fills walls into a fresh all-road terrain map from the seeded rng:
+// generate(terrain, w, h, rng, { density, start, goal }). It must leave start and goal
+// open. Generators marked `solvable` also connect them by construction, so
+// generateObstacles skips its retry loop for them.
+
+// Independent walls per cell at `density` (endpoints are skipped, not re-rolled)
+function noiseWalls(terrain, w, h, rng, { density, start, goal }) {
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (i === start || i === goal) continue;
+      if (rng() < density) terrain[i] = WALL;
+    }
+  }
+}
+
+// Maze lattice: rooms at even (x, y), walls between them at odd coordinates.
+const STEPS4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Join an off-lattice endpoint to the lattice cell up-left of it: (x,y) → (x−x%2, y) → (x−x%2, y−y%2)
+function carveToLattice(terrain, w, i) {
+  const x = i % w; const y = (i / w) | 0;
+  const lx = x - (x % 2); const ly = y - (y % 2);
+  terrain[i] = ROAD; terrain[y * w + lx] = ROAD; terrain[ly * w + lx] = ROAD;
+}
+
+// Depth-first "recursive backtracker" (iterative stack): long winding corridors
+function backtrackerMaze(terrain, w, h, rng, { start, goal }) {
+  terrain.fill(WALL);
+  const seen = new Uint8Array(w * h);
+  const stack = [0]; seen[0] = 1; terrain[0] = ROAD;
+  while (stack.length) {
+    const i = stack[stack.length - 1]; const x = i % w; const y = (i / w) | 0;
+    const options = [];
+    for (const [dx, dy] of STEPS4) {
+      const nx = x + 2 * dx; const ny = y + 2 * dy;
+      if (nx >= 0 && ny >= 0 && nx < w && ny < h && !seen[ny * w + nx]) options.push([dx, dy]);
+    }
+    if (!options.length) { stack.pop(); continue; }
+    const [dx, dy] = options[Math.floor(rng() * options.length)];
+    const j = (y + 2 * dy) * w + x + 2 * dx;
+    terrain[(y + dy) * w + x + dx] = ROAD; terrain[j] = ROAD; seen[j] = 1;
+    stack.push(j);
+  }
+  carveToLattice(terrain, w, start); carveToLattice(terrain, w, goal);
+}
+
+// Randomized Prim's: grow from one cell through a random frontier edge each time (short dead ends)
+function primMaze(terrain, w, h, rng, { start, goal }) {
+  terrain.fill(WALL);
+  const inMaze = new Uint8Array(w * h);
+  const frontier = []; // [cell between, lattice cell beyond]
+  const add = (i) => {
+    inMaze[i] = 1; terrain[i] = ROAD;
+    const x = i % w; const y = (i / w) | 0;
+    for (const [dx, dy] of STEPS4) {
+      const nx = x + 2 * dx; const ny = y + 2 * dy;
+      if (nx >= 0 && ny >= 0 && nx < w && ny < h && !inMaze[ny * w + nx]) frontier.push([(y + dy) * w + x + dx, ny * w + nx]);
+    }
+  };
+  add(0);
+  while (frontier.length) {
+    const k = Math.floor(rng() * frontier.length);
+    const [between, j] = frontier[k];
+    frontier[k] = frontier[frontier.length - 1]; frontier.pop();
+    if (inMaze[j]) continue;
+    terrain[between] = ROAD; add(j);
+  }
+  carveToLattice(terrain, w, start); carveToLattice(terrain, w, goal);
+}
+
+// Randomized Kruskal's: open shuffled lattice edges whenever they join two separate regions
+function kruskalMaze(terrain, w, h, rng, { start, goal }) {
+  terrain.fill(WALL);
+  const parent = new Int32Array(w * h).map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+  const edges = [];
+  for (let y = 0; y < h; y += 2) {
+    for (let x = 0; x < w; x += 2) {
+      terrain[y * w + x] = ROAD;
+      if (x + 2 < w) edges.push([y * w + x, y * w + x + 1, y * w + x + 2]);
+      if (y + 2 < h) edges.push([y * w + x, (y + 1) * w + x, (y + 2) * w + x]);
+    }
+  }
+  for (let k = edges.length - 1; k > 0; k--) { // Fisher–Yates
+    const j = Math.floor(rng() * (k + 1));
+    [edges[k], edges[j]] = [edges[j], edges[k]];
+  }
+  for (const [a, between, b] of edges) {
+    const ra = find(a); const rb = find(b);
+    if (ra === rb) continue;
+    parent[ra] = rb; terrain[between] = ROAD;
+  }
+  carveToLattice(terrain, w, start); carveToLattice(terrain, w, goal);
+}
+
+// Recursive division (explicit stack): start fully open, then split each chamber with a
+// wall that has a single gap. Chambers are in lattice units; walls land on odd rows/columns.
+function divisionMaze(terrain, w, h, rng, { start, goal }) {
+  terrain.fill(WALL);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const between = (x % 2) + (y % 2) === 1 && (x % 2 ? x + 1 < w : y + 1 < h);
+      if ((x % 2 === 0 && y % 2 === 0) || between) terrain[y * w + x] = ROAD;
+    }
+  }
+  const pick = (lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+  const stack = [[0, 0, (w - 1) >> 1, (h - 1) >> 1]];
+  while (stack.length) {
+    const [x0, y0, x1, y1] = stack.pop();
+    const cw = x1 - x0 + 1; const ch = y1 - y0 + 1;
+    if (cw < 2 && ch < 2) continue;
+    const horizontal = ch > cw || (ch === cw && rng() < 0.5);
+    if (horizontal) {
+      const k = pick(y0, y1 - 1); const gap = pick(x0, x1);
+      for (let x = 2 * x0; x <= 2 * x1; x++) if (x !== 2 * gap) terrain[(2 * k + 1) * w + x] = WALL;
+      stack.push([x0, y0, x1, k], [x0, k + 1, x1, y1]);
+    } else {
+      const k = pick(x0, x1 - 1); const gap = pick(y0, y1);
+      for (let y = 2 * y0; y <= 2 * y1; y++) if (y !== 2 * gap) terrain[y * w + 2 * k + 1] = WALL;
+      stack.push([x0, y0, k, y1], [k + 1, y0, x1, y1]);
+    }
+  }
+  carveToLattice(terrain, w, start); carveToLattice(terrain, w, goal);
+}
+
+// Cellular-automata caves: random fill at `density`, then four smoothing passes of the
+// 4-5 rule (a cell is wall if ≥5 of its 8 neighbors are, or it is a wall with ≥4).
+// Smoothing seals pockets (corner endpoints almost always), so a drunkard's-walk tunnel,
+// biased toward the goal, is bored from start to goal afterwards.
+function caveMap(terrain, w, h, rng, { density, start, goal }) {
+  for (let i = 0; i < w * h; i++) terrain[i] = rng() < density ? WALL : ROAD;
+  let cur = terrain; let next = new Uint8Array(w * h);
+  for (let pass = 0; pass < 4; pass++) {
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let walls = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (!dx && !dy) continue;
+            const nx = x + dx; const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= w || ny >= h || cur[ny * w + nx] === WALL) walls++; // border counts as rock
+          }
+        }
+        const i = y * w + x;
+        next[i] = walls >= 5 || (cur[i] === WALL && walls >= 4) ? WALL : ROAD;
+      }
+    }
+    [cur, next] = [next, cur];
+  }
+  if (cur !== terrain) terrain.set(cur);
+  let x = start % w; let y = (start / w) | 0;
+  const gx = goal % w; const gy = (goal / w) | 0;
+  terrain[start] = ROAD;
+  while (x !== gx || y !== gy) {
+    if (rng() < 0.5) { // step toward the goal on a random axis that still needs it
+      if (x !== gx && (y === gy || rng() < 0.5)) x += Math.sign(gx - x); else y += Math.sign(gy - y);
+    } else {
+      const [dx, dy] = STEPS4[Math.floor(rng() * 4)];
+      x = Math.min(w - 1, Math.max(0, x + dx)); y = Math.min(h - 1, Math.max(0, y + dy));
+    }
+    terrain[y * w + x] = ROAD;
+  }
+}
+
+// Rooms & corridors: non-overlapping rectangular rooms joined in placement order by
+// L-shaped corridors; each endpoint gets its own corridor to the nearest room.
+function roomsMap(terrain, w, h, rng, { start, goal }) {
+  terrain.fill(WALL);
+  const xy = (i) => [i % w, (i / w) | 0];
+  const carveL = ([ax, ay], [bx, by]) => {
+    const [row, col] = rng() < 0.5 ? [ay, bx] : [by, ax]; // horizontal leg's row, vertical leg's column
+    for (let x = Math.min(ax, bx); x <= Math.max(ax, bx); x++) terrain[row * w + x] = ROAD;
+    for (let y = Math.min(ay, by); y <= Math.max(ay, by); y++) terrain[y * w + col] = ROAD;
+  };
+  const maxSide = Math.max(4, Math.min(14, Math.floor(Math.min(w, h) / 4)));
+  const rooms = [];
+  const tries = Math.max(8, Math.floor((w * h) / 60));
+  for (let t = 0; t < tries; t++) {
+    const rw = 3 + Math.floor(rng() * (maxSide - 2)); const rh = 3 + Math.floor(rng() * (maxSide - 2));
+    if (rw >= w - 1 || rh >= h - 1) continue;
+    const rx = 1 + Math.floor(rng() * (w - rw - 1)); const ry = 1 + Math.floor(rng() * (h - rh - 1));
+    if (rooms.some((r) => rx <= r.x + r.w && r.x <= rx + rw && ry <= r.y + r.h && r.y <= ry + rh)) continue; // keep a 1-cell gap
+    rooms.push({ x: rx, y: ry, w: rw, h: rh });
+    for (let y = ry; y < ry + rh; y++) for (let x = rx; x < rx + rw; x++) terrain[y * w + x] = ROAD;
+  }
+  const center = (r) => [r.x + (r.w >> 1), r.y + (r.h >> 1)];
+  for (let k = 1; k < rooms.length; k++) carveL(center(rooms[k - 1]), center(rooms[k]));
+  for (const i of [start, goal]) {
+    const p = xy(i);
+    const nearest = rooms.reduce((best, r) => {
+      const [cx, cy] = center(r); const d = Math.abs(cx - p[0]) + Math.abs(cy - p[1]);
+      return best && best.d <= d ? best : { c: [cx, cy], d };
+    }, null);
+    carveL(p, nearest ? nearest.c : xy(i === start ? goal : start)); // no rooms fit: join the endpoints directly
+  }
+}
+
+export const GENERATORS = {
+  noise: { label: "Random noise", generate: noiseWalls, solvable: false, usesDensity: true },
+  backtracker: { label: "Maze: recursive backtracker", generate: backtrackerMaze, solvable: true, usesDensity: false },
+  prim: { label: "Maze: Prim's", generate: primMaze, solvable: true, usesDensity: false },
+  kruskal: { label: "Maze: Kruskal's", generate: kruskalMaze, solvable: true, usesDensity: false },
+  division: { label: "Maze: recursive division", generate: divisionMaze, solvable: true, usesDensity: false },
+  caves: { label: "Caves (cellular automata)", generate: caveMap, solvable: true, usesDensity: true },
+  rooms: { label: "Rooms & corridors", generate: roomsMap, solvable: true, usesDensity: false },
+};
+
+// opts: { movement, terrain, start, goal, generator, onAttempt } — terrain adds noise-based
+// grass/mud/water patches. Patches use their own RNG stream, so toggling them leaves the
+// walls unchanged. The start and goal cells (default top-left / bottom-right) are never walled.
+// Generators that are solvable by construction get a single attempt; onAttempt(k, maxTries)
+// is called before each one (progress for the worker).
+export function generateObstacles(w, h, density, seedStr, guaranteeSolvable, opts = {}) {
+  const { movement = "4", terrain: withTerrain = false, start = 0, goal = w * h - 1, generator = "noise", onAttempt } = opts;
+  const gen = GENERATORS[generator] || GENERATORS.noise;
+  let rng = rngFromSeed(seedStr);
+  const maxTries = guaranteeSolvable && !gen.solvable ? 120 : 1;
+  for (let attempt = 0; attempt < maxTries; attempt++) {
+    if (onAttempt) onAttempt(attempt + 1, maxTries);
+    const terrain = new Uint8Array(w * h);
+    for (let i = 0; i < w * h; i++) terrain[i] = ROAD;
+    gen.generate(terrain, w, h, rng, { density, start, goal });
+    if (withTerrain) {
+      paintTerrainPatches(terrain, w, h, rngFromSeed(seedStr + ":terrain"));
+      terrain[start] = ROAD; terrain[goal] = ROAD;
+    }
+    if (!guaranteeSolvable || pathExists(w, h, terrain, movement, start, goal)) {
+      return { terrain, seed: seedStr, attempts: attempt + 1 };
+    }
+    seedStr = seedStr + "*"; // tweak seed and try again
+    rng = rngFromSeed(seedStr);
+  }
+  return { terrain: new Uint8Array(w * h), seed: seedStr, attempts: maxTries };
+}
+
+// --- Map files ----------------------------------------------------------------
+// Exported layouts are JSON with one string per row, one digit per cell (the terrain code).
+// Imports also accept Moving AI Lab benchmark maps (.map) and scenarios (.scen):
+// https://movingai.com/benchmarks/formats.html. Every parser throws an Error whose
+// message is meant to be shown to the user as-is.
+
+const LAYOUT_FORMAT = "a-star-demo-grid";
+
+export function checkGridSize(w, h, what) {
+  if (!Number.isInteger(w) || !Number.isInteger(h) || w < GRID_MIN_W || h < GRID_MIN_H || w > GRID_MAX || h > GRID_MAX) {
+    throw new Error(`${what} is ${w}×${h}; the demo supports ${GRID_MIN_W}×${GRID_MIN_H} up to ${GRID_MAX}×${GRID_MAX} cells.`);
+  }
+}
+
+// layout: { w, h, terrain, start, goal, seed, goalMode, waypoints } with start/goal as cell
+// indices and waypoints as [x, y]
+export function layoutToJson({ w, h, terrain, start, goal, seed, goalMode = "single", waypoints = [] }) {
+  const rows = [];
+  for (let y = 0; y < h; y++) rows.push(Array.from(terrain.subarray(y * w, (y + 1) * w)).join(""));
+  const xy = (i) => [i % w, Math.floor(i / w)];
+  return JSON.stringify({
+    format: LAYOUT_FORMAT, version: 1, width: w, height: h, seed,
+    start: xy(start), goal: xy(goal), goalMode, waypoints, terrain: rows,
+  }, null, 1);
+}
+
+export function parseLayoutJson(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  if (!data || data.format !== LAYOUT_FORMAT) throw new Error(`Not an exported grid (expected "format": "${LAYOUT_FORMAT}").`);
+  const { width: w, height: h, terrain: rows } = data;
+  checkGridSize(w, h, "The grid");
+  if (!Array.isArray(rows) || rows.length !== h) throw new Error(`The grid says ${h} rows but "terrain" has ${Array.isArray(rows) ? rows.length : "none"}.`);
+  const terrain = new Uint8Array(w * h);
+  rows.forEach((row, y) => {
+    if (typeof row !== "string" || row.length !== w) throw new Error(`Terrain row ${y} should have ${w} cells.`);
+    for (let x = 0; x < w; x++) {
+      const code = row.charCodeAt(x) - 48;
+      if (!(code >= 0 && code < TERRAIN.length)) throw new Error(`Unknown terrain code "${row[x]}" at (${x}, ${y}).`);
+      terrain[y * w + x] = code;
+    }
+  });
+  const cell = (p, name) => {
+    if (!Array.isArray(p) || p.length !== 2 || !Number.isInteger(p[0]) || !Number.isInteger(p[1]) || p[0] < 0 || p[1] < 0 || p[0] >= w || p[1] >= h) {
+      throw new Error(`"${name}" must be an [x, y] cell inside the ${w}×${h} grid.`);
+    }
+    return p;
+  };
+  const start = cell(data.start ?? [0, 0], "start"); const goal = cell(data.goal ?? [w - 1, h - 1], "goal");
+  const waypoints = (data.waypoints ?? []).map((p, k) => cell(p, `waypoints[${k}]`));
+  return {
+    w, h, terrain, start, goal, waypoints,
+    seed: typeof data.seed === "string" ? data.seed : null,
+    goalMode: ["single", "nearest", "tour"].includes(data.goalMode) ? data.goalMode : "single",
+  };
+}
+
+// Moving AI tiles: . G passable • @ O out of bounds • T trees • S swamp • W water. The benchmark
+// costs every passable tile alike and water can't be entered from land, so the .scen optimal
+// lengths only hold with swamp as road and water as wall.
+const MOVING_AI_TILES = { ".": ROAD, G: ROAD, "@": WALL, O: WALL, T: WALL, S: ROAD, W: WALL };
+
+export function parseMovingAiMap(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^type\s+\S+/i.test(lines[0] || "")) throw new Error('Not a Moving AI map: line 1 should be "type octile".');
+  const header = {};
+  let k = 1;
+  for (; k < lines.length && !/^map\s*$/i.test(lines[k]); k++) {
+    const [key, value] = lines[k].trim().split(/\s+/);
+    if (key) header[key.toLowerCase()] = Number(value);
+  }
+  if (k === lines.length) throw new Error('Moving AI map has no "map" line before the tiles.');
+  const { width: w, height: h } = header;
+  if (w === undefined || h === undefined) throw new Error("Moving AI map header is missing its height or width.");
+  checkGridSize(w, h, "The map");
+  const rows = lines.slice(k + 1, k + 1 + h);
+  if (rows.length < h || rows[h - 1] === "") throw new Error(`Moving AI map header says ${h} rows but the file ends early.`);
+  const terrain = new Uint8Array(w * h);
+  rows.forEach((row, y) => {
+    if (row.length !== w) throw new Error(`Map row ${y} has ${row.length} tiles; the header says ${w}.`);
+    for (let x = 0; x < w; x++) {
+      const code = MOVING_AI_TILES[row[x]];
+      if (code === undefined) throw new Error(`Unknown map tile "${row[x]}" at (${x}, ${y}).`);
+      terrain[y * w + x] = code;
+    }
+  });
+  return { w, h, terrain };
+}
+
+// Each scenario line: bucket, map file, map width, map height, start x, y, goal x, y, optimal length
+export function parseMovingAiScen(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!/^version\s/i.test(lines[0] || "")) throw new Error('Not a Moving AI scenario: line 1 should be "version 1".');
+  if (lines.length < 2) throw new Error("The scenario file lists no scenarios.");
+  return lines.slice(1).map((line, k) => {
+    const f = line.trim().split(/\s+/);
+    const n = f.slice(2).map(Number);
+    if (f.length !== 9 || n.some((v) => !Number.isFinite(v))) throw new Error(`Scenario line ${k + 2} should have 9 fields: bucket, map, width, height, start x/y, goal x/y, optimal length.`);
+    const [mapW, mapH, sx, sy, gx, gy, optimal] = n;
+    if ([sx, gx].some((x) => x < 0 || x >= mapW) || [sy, gy].some((y) => y < 0 || y >= mapH)) {
+      throw new Error(`Scenario line ${k + 2}: start or goal lies outside its ${mapW}×${mapH} map.`);
+    }
+    return { bucket: Number(f[0]), map: f[1], mapW, mapH, start: [sx, sy], goal: [gx, gy], optimal };
+  });
+}
+
+// Dispatch on content: { kind: "layout" | "map" | "scen", ... }
+export function parseMapFile(text) {
+  const head = text.trimStart();
+  if (head.startsWith("{")) return { kind: "layout", ...parseLayoutJson(text) };
+  if (/^type\s/i.test(head)) return { kind: "map", ...parseMovingAiMap(head) };
+  if (/^version\s/i.test(head)) return { kind: "scen", scenarios: parseMovingAiScen(head) };
+  throw new Error("Unrecognized file: expected an exported .json grid, a Moving AI .map or a .scen scenario.");
+}
+
+// --- Shareable links ------------------------------------------------------------
+// The whole configuration lives in the URL hash, so a link reopens the exact grid. Hand
+// edits are stored as a diff against the layout the seed generates: alternating
+// unchanged/changed run lengths in base 36, then the changed cells' terrain codes,
+// e.g. "4k.2.9.1_114" = 164 unchanged, 2 changed, 9 unchanged, 1 changed → codes 1, 1, 4.
+
+export function encodeTerrainEdits(base, terrain) {
+  const runs = []; const codes = [];
+  let changed = false; let run = 0;
+  for (let i = 0; i < terrain.length; i++) {
+    if ((terrain[i] !== base[i]) !== changed) { runs.push(run.toString(36)); run = 0; changed = !changed; }
+    if (changed) codes.push(terrain[i]);
+    run++;
+  }
+  if (!codes.length) return "";
+  if (changed) runs.push(run.toString(36)); // a trailing unchanged run is implied
+  return `${runs.join(".")}_${codes.join("")}`;
+}
+
+// Applies in place; false (terrain untouched) if the string is malformed or sized for another grid
+export function applyTerrainEdits(terrain, edits) {
+  const m = /^([0-9a-z]+(?:\.[0-9a-z]+)*)_(\d+)$/.exec(edits);
+  if (!m) return false;
+  const runs = m[1].split(".").map((r) => parseInt(r, 36)); const codes = m[2];
+  const cells = [];
+  let i = 0;
+  runs.forEach((run, k) => {
+    if (k % 2) for (let j = 0; j < run; j++) cells.push(i + j);
+    i += run;
+  });
+  if (i > terrain.length || cells.length !== codes.length || [...codes].some((c) => +c >= TERRAIN.length)) return false;
+  cells.forEach((cell, k) => { terrain[cell] = +codes[k]; });
+  return true;
+}
+
+const xyParam = ([x, y]) => `${x}.${y}`;
+const parseXY = (v) => (/^\d+\.\d+$/.test(v || "") ? v.split(".").map(Number) : null);
+
+export function shareHash(c) {
+  const p = new URLSearchParams({
+    s: c.seed, w: c.gridW, h: c.gridH, d: c.density, g: c.guarantee ? 1 : 0, v: Number.isFinite(c.speed) ? c.speed : "instant", m: c.generator, t: c.terrainOn ? 1 : 0,
+    mv: c.movement, a: c.algorithm, e: c.weight, hu: c.heuristic, gm: c.goalMode,
+  });
+  if (c.raceCount > 1) { p.set("rc", c.raceCount); p.set("ra", c.raceAlgs.join("_")); }
+  if (c.agent) p.set("ag", c.sensor);
+  if (c.start) p.set("st", xyParam(c.start));
+  if (c.goal) p.set("go", xyParam(c.goal));
+  if (c.waypoints.length) p.set("wp", c.waypoints.map(xyParam).join("_"));
+  if (c.edits) p.set("ed", c.edits);
+  return p.toString();
+}
+
+// Only well-formed, in-range fields come back; anything else keeps its default
+export function parseShareHash(hash) {
+  const p = new URLSearchParams(hash.replace(/^#/, ""));
+  const out = {};
+  const num = (key, lo, hi, int) => {
+    const v = Number(p.get(key));
+    return p.has(key) && Number.isFinite(v) && v >= lo && v <= hi && (!int || Number.isInteger(v)) ? v : undefined;
+  };
+  const oneOf = (key, table) => (Object.prototype.hasOwnProperty.call(table, p.get(key)) ? p.get(key) : undefined);
+  if (p.has("s")) out.seed = p.get("s");
+  out.gridW = num("w", GRID_MIN_W, GRID_MAX, true); out.gridH = num("h", GRID_MIN_H, GRID_MAX, true);
+  out.density = num("d", 0, 0.6); out.weight = num("e", 1, 5);
+  out.speed = p.get("v") === "instant" ? Infinity : num("v", 1, SPEEDS[SPEEDS.length - 2], true);
+  if (p.has("g")) out.guarantee = p.get("g") === "1";
+  if (p.has("t")) out.terrainOn = p.get("t") === "1";
+  out.generator = oneOf("m", GENERATORS); out.movement = oneOf("mv", MOVEMENTS);
+  out.algorithm = oneOf("a", ALGORITHMS); out.heuristic = oneOf("hu", HEURISTICS);
+  out.goalMode = oneOf("gm", { single: 1, nearest: 1, tour: 1 });
+  out.start = parseXY(p.get("st")) ?? undefined; out.goal = parseXY(p.get("go")) ?? undefined;
+  if (p.get("wp")) out.waypoints = p.get("wp").split("_").map(parseXY).filter(Boolean);
+  if (p.get("ed")) out.edits = p.get("ed");
+  out.sensor = num("ag", 1, 20, true); if (out.sensor) out.agent = true;
+  out.raceCount = [2, 4].includes(Number(p.get("rc"))) ? Number(p.get("rc")) : undefined;
+  const raceAlgs = (p.get("ra") || "").split("_");
+  if (raceAlgs.length === 3 && raceAlgs.every((id) => Object.prototype.hasOwnProperty.call(ALGORITHMS, id))) out.raceAlgs = raceAlgs;
+  for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+  return out;
+}
@@ -0,0 +1,569 @@
+// Node test suite for the pathfinding core: node --test
+// Hand-picked cases first, then an independent oracle and property checks over seeded random grids.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROAD, WALL, TERRAIN_COST, ALGORITHMS, GENERATORS, mulberry32, rngFromSeed, createEngine, seekEngine, RouteEngine,
+  heuristicAdmissible, pathExists, generateObstacles, layoutToJson, parseMapFile, encodeTerrainEdits,
+  applyTerrainEdits, shareHash, parseShareHash, raceSummary, finishAnnouncement, FogAgent, fmt, engineFromSpec,
+  engineState, adoptEngineState,
+} from "./pathfinding.mjs";
+
+// Build an engine and exhaust it
+function run(w, h, terrain, algorithm = "astar", options = {}) {
+  const eng = createEngine(algorithm, w, h, terrain, options);
+  let guard = 0;
+  while (!eng.finished && guard++ < 1e6) eng.step();
+  return eng;
+}
+
+// Independent reference: Dijkstra by linear scan (least cost) or plain BFS (fewest moves).
+// Written from the movement rules, not from gridNeighbors, so the two can disagree.
+function oracle(w, h, terrain, movement, start, goal, fewestMoves = false) {
+  const n = w * h;
+  const dist = new Float64Array(n).fill(Infinity); const done = new Uint8Array(n);
+  dist[start] = 0;
+  const dirs = movement === "4" ? [[1, 0], [-1, 0], [0, 1], [0, -1]]
+    : [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+  const open = (x, y) => x >= 0 && y >= 0 && x < w && y < h && terrain[y * w + x] !== WALL;
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) if (!done[i] && dist[i] < Infinity && (u < 0 || dist[i] < dist[u])) u = i;
+    if (u < 0) return Infinity;
+    if (u === goal) return dist[u];
+    done[u] = 1;
+    const ux = u % w; const uy = (u - ux) / w;
+    for (const [dx, dy] of dirs) {
+      const x = ux + dx; const y = uy + dy;
+      if (!open(x, y)) continue;
+      if (dx && dy && movement === "8-no-corner" && (!open(ux + dx, uy) || !open(ux, uy + dy))) continue;
+      const step = fewestMoves ? 1 : TERRAIN_COST[terrain[y * w + x]] * (dx && dy ? Math.SQRT2 : 1);
+      if (dist[u] + step < dist[y * w + x]) dist[y * w + x] = dist[u] + step;
+    }
+  }
+}
+
+// Seeded random grid: walls at `density`, other cells a random terrain, endpoints on distinct open cells
+function randomCase(seed) {
+  const rng = mulberry32(seed);
+  const w = 2 + Math.floor(rng() * 12); const h = 2 + Math.floor(rng() * 9);
+  const density = rng() * 0.4; const weighted = rng() < 0.5;
+  const terrain = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) terrain[i] = rng() < density ? WALL : weighted ? [0, 2, 3, 4][Math.floor(rng() * 4)] : ROAD;
+  const start = Math.floor(rng() * w * h);
+  let goal = Math.floor(rng() * (w * h - 1)); if (goal >= start) goal++;
+  terrain[start] = ROAD; terrain[goal] = ROAD;
+  const movement = ["4", "8", "8-no-corner"][Math.floor(rng() * 3)];
+  return { w, h, terrain, start, goal, movement };
+}
+
+const CASES = Array.from({ length: 150 }, (_, k) => randomCase(1000 + k));
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("empty grid: shortest path has w + h - 1 cells", () => {
+  const eng = run(5, 5, new Uint8Array(25));
+  assert.ok(eng.finished && eng.success);
+  assert.equal(eng.path.length, 9);
+});
+
+test("a serpentine barrier forces a longer detour", () => {
+  const w = 5, h = 5;
+  const terrain = new Uint8Array(w * h);
+  for (let x = 0; x < 4; x++) terrain[1 * w + x] = WALL; // open only at the right end
+  for (let x = 1; x < 5; x++) terrain[3 * w + x] = WALL; // open only at the left end
+  const eng = run(w, h, terrain);
+  assert.ok(eng.success);
+  assert.equal(eng.path.length, 17);
+});
+
+test("every algorithm reaches the goal; Dijkstra and BFS match A*, weighted A* stays within ε", () => {
+  const w = 7, h = 5;
+  const terrain = new Uint8Array(w * h);
+  for (let y = 0; y < 4; y++) terrain[y * w + 3] = WALL; // wall with a gap at the bottom
+  const best = run(w, h, terrain).path.length;
+  for (const algo of Object.keys(ALGORITHMS)) {
+    const eng = run(w, h, terrain, algo);
+    assert.ok(eng.success, algo);
+    if (algo === "dijkstra" || algo === "bfs") assert.equal(eng.path.length, best, algo);
+  }
+  const weighted = run(w, h, terrain, "weighted", { weight: 3 });
+  assert.ok(weighted.path.length - 1 <= 3 * (best - 1));
+});
+
+test("8-way moves cost (w-1)·√2 + (h-w) on an empty grid with admissible heuristics", () => {
+  const w = 5, h = 8;
+  for (const heuristic of ["octile", "euclidean", "chebyshev", "zero"]) {
+    const eng = run(w, h, new Uint8Array(w * h), "astar", { movement: "8", heuristic });
+    assert.ok(close(eng.cost, (w - 1) * Math.SQRT2 + (h - w)), heuristic);
+  }
+  assert.ok(!heuristicAdmissible("manhattan", "8") && heuristicAdmissible("manhattan", "4"));
+});
+
+test("no corner cutting forbids squeezing diagonally past a wall corner", () => {
+  const terrain = new Uint8Array([0, 1, 0, 0]); // wall at (1,0)
+  assert.equal(run(2, 2, terrain, "astar", { movement: "8", heuristic: "octile" }).path.length, 2);
+  assert.equal(run(2, 2, terrain, "astar", { movement: "8-no-corner", heuristic: "octile" }).path.length, 3);
+});
+
+test("weighted terrain: optimal searches detour around mud, BFS only counts moves", () => {
+  const terrain = new Uint8Array(8);
+  terrain[1] = 3; terrain[2] = 3; // mud at (1,0) and (2,0)
+  for (const algo of ["astar", "dijkstra"]) assert.equal(run(4, 2, terrain, algo).cost, 4, algo);
+  const bfs = run(4, 2, terrain, "bfs");
+  assert.ok(bfs.path.length === 5 && bfs.cost > 4);
+  assert.equal(run(5, 5, new Uint8Array(25).fill(2)).cost, 16);
+});
+
+test("movable endpoints are honored by search, solvability check and generation", () => {
+  const w = 5, h = 5;
+  const start = 2 * w + 2, goal = 0; // center → top-left
+  const eng = run(w, h, new Uint8Array(w * h), "astar", { start, goal });
+  assert.ok(eng.success && eng.path[0] === start && eng.path.length === 5);
+  const { terrain } = generateObstacles(w, h, 1, "endpoints", false, { start, goal });
+  assert.ok(terrain[start] === ROAD && terrain[goal] === ROAD && terrain[w * h - 1] === WALL);
+  assert.ok(!pathExists(w, h, terrain, "4", start, goal));
+});
+
+test("nearest of several goals, and an ordered waypoint tour joined leg by leg", () => {
+  const w = 6, h = 6;
+  const open = new Uint8Array(w * h);
+  const near = 3 * w; // (0,3) is closer than the corner goal
+  const multi = run(w, h, open, "astar", { goals: [w * h - 1, near] });
+  assert.ok(multi.success && multi.path[multi.path.length - 1] === near && multi.cost === 3);
+  const route = new RouteEngine("astar", w, h, open, {}, [0, w - 1, w * h - 1]); // via top-right corner
+  while (!route.finished) route.step();
+  assert.ok(route.success && route.legs.length === 2 && route.cost === 10);
+  assert.ok(route.path.length === 11 && route.path[5] === w - 1, "joined path passes the waypoint once");
+});
+
+test("no path: every algorithm and a tour report failure instead of a path", () => {
+  const w = 6, h = 5;
+  const terrain = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) terrain[y * w + 3] = WALL; // full-height wall
+  for (const algo of Object.keys(ALGORITHMS)) {
+    for (const movement of ["4", "8", "8-no-corner"]) {
+      const eng = run(w, h, terrain, algo, { movement });
+      assert.ok(eng.finished && !eng.success && eng.path.length === 0 && eng.cost === Infinity, `${algo} ${movement}`);
+    }
+  }
+  const boxed = new Uint8Array(9).fill(WALL); boxed[0] = ROAD; boxed[8] = ROAD; // goal sealed in by walls
+  assert.ok(!run(3, 3, boxed).success && !pathExists(3, 3, boxed));
+  const route = new RouteEngine("astar", w, h, terrain, {}, [0, 2, w * h - 1]); // first leg fine, second blocked
+  while (!route.finished) route.step();
+  assert.ok(!route.success && route.legs.length === 2 && route.legs[1].path.length === 0);
+});
+
+test("stepping back through the log restores every earlier state exactly", () => {
+  const w = 7, h = 6;
+  const terrain = new Uint8Array(w * h);
+  for (const i of [8, 9, 10, 17, 24, 31, 33]) terrain[i] = WALL;
+  terrain[20] = 3; terrain[26] = 4; // mud and water
+  const snap = (e) => [e.g.join(), e.f.join(), e.came.join(), e.closed.join(), e.inOpen.join(), e.current, e.finished].join("|");
+  for (const eng of [
+    createEngine("astar", w, h, terrain, { movement: "8-no-corner", heuristic: "octile" }),
+    new RouteEngine("dijkstra", w, h, terrain, {}, [0, w - 1, w * h - 1]),
+  ]) {
+    const snaps = [snap(eng)];
+    while (!eng.finished) { eng.step(); snaps.push(snap(eng)); }
+    const path = eng.path.join();
+    for (let k = snaps.length - 2; k >= 0; k--) {
+      eng.stepBack();
+      assert.equal(snap(eng), snaps[k], `state after stepping back to ${k}`);
+    }
+    seekEngine(eng, eng.furthest);
+    assert.ok(eng.finished && eng.path.join() === path, "replay reproduces the path");
+  }
+});
+
+test("tie-breaking: A* on an open grid expands in a fixed, documented order", () => {
+  // equal f everywhere on the diagonal band; lower h wins, then first-in-first-out
+  const order = [];
+  const eng = createEngine("astar", 3, 3, new Uint8Array(9), {});
+  while (!eng.finished) { eng.step(); order.push(eng.current); }
+  assert.deepEqual(order, [0, 1, 2, 5, 8]);
+});
+
+test("tie-breaking: Dijkstra ignores h even between equal g, so the heuristic can't change its order", () => {
+  const order = (heuristic) => {
+    const eng = createEngine("dijkstra", 3, 3, new Uint8Array(9), { heuristic });
+    const popped = [];
+    while (!eng.finished) { eng.step(); popped.push(eng.current); }
+    return popped;
+  };
+  assert.deepEqual(order("manhattan"), [0, 1, 3, 2, 4, 6, 5, 7, 8]); // rings, first-in-first-out within one
+  for (const heuristic of ["euclidean", "chebyshev", "octile"]) assert.deepEqual(order(heuristic), order("manhattan"));
+  assert.equal(ALGORITHMS.dijkstra.usesHeuristic, false);
+});
+
+test("tie-breaking: each pop is the (f, h, insertion) minimum and reruns repeat it exactly", () => {
+  for (const { w, h, terrain, start, goal, movement } of CASES.slice(0, 60)) {
+    for (const algo of ["astar", "weighted", "dijkstra", "greedy"]) {
+      const opts = { movement, start, goal, heuristic: movement === "4" ? "manhattan" : "octile" };
+      const trace = () => {
+        const eng = createEngine(algo, w, h, terrain, opts);
+        const popped = [];
+        while (!eng.finished) {
+          const open = [...eng.open]; // scored before the step relaxes anything
+          const best = open.reduce((a, b) => (eng.before(b, a) || (!eng.before(a, b) && eng.seq[b] < eng.seq[a]) ? b : a), -1);
+          eng.step();
+          if (best < 0) continue;
+          assert.equal(eng.current, best, `${algo} popped a node that should have waited`);
+          popped.push(eng.current);
+        }
+        return popped.join();
+      };
+      assert.equal(trace(), trace(), `${algo} is not deterministic`);
+    }
+  }
+});
+
+test("oracle: A* (admissible h) and Dijkstra costs equal an independent Dijkstra; BFS moves equal an independent BFS", () => {
+  for (const { w, h, terrain, start, goal, movement } of CASES) {
+    const best = oracle(w, h, terrain, movement, start, goal);
+    const heuristics = movement === "4" ? ["manhattan", "euclidean", "octile", "zero"] : ["octile", "euclidean", "chebyshev", "zero"];
+    for (const heuristic of heuristics) {
+      const eng = run(w, h, terrain, "astar", { movement, heuristic, start, goal });
+      assert.equal(eng.success, best < Infinity);
+      if (eng.success) assert.ok(close(eng.cost, best), `A* ${heuristic} ${movement}: ${eng.cost} vs ${best}`);
+    }
+    const dijkstra = run(w, h, terrain, "dijkstra", { movement, start, goal });
+    assert.ok(dijkstra.success ? close(dijkstra.cost, best) : best === Infinity);
+    const bfs = run(w, h, terrain, "bfs", { movement, start, goal });
+    const moves = oracle(w, h, terrain, movement, start, goal, true);
+    assert.equal(bfs.success ? bfs.path.length - 1 : Infinity, moves);
+  }
+});
+
+test("property: found paths are connected, wall-free, priced as g, and success matches pathExists", () => {
+  for (const { w, h, terrain, start, goal, movement } of CASES) {
+    const reachable = pathExists(w, h, terrain, movement, start, goal);
+    for (const algo of Object.keys(ALGORITHMS)) {
+      const eng = run(w, h, terrain, algo, { movement, start, goal, weight: 2 });
+      assert.equal(eng.success, reachable, `${algo} success vs pathExists`);
+      if (!eng.success) continue;
+      const { path } = eng;
+      assert.ok(path[0] === start && path[path.length - 1] === goal);
+      let cost = 0;
+      for (let k = 1; k < path.length; k++) {
+        const [ax, ay] = [path[k - 1] % w, Math.floor(path[k - 1] / w)]; const [bx, by] = [path[k] % w, Math.floor(path[k] / w)];
+        const dx = Math.abs(ax - bx); const dy = Math.abs(ay - by);
+        assert.ok(dx <= 1 && dy <= 1 && dx + dy > 0 && terrain[path[k]] !== WALL, `${algo} path step ${k}`);
+        if (movement === "4") assert.ok(dx + dy === 1);
+        if (movement === "8-no-corner" && dx && dy) assert.ok(terrain[ay * w + bx] !== WALL && terrain[by * w + ax] !== WALL);
+        cost += TERRAIN_COST[terrain[path[k]]] * (dx && dy ? Math.SQRT2 : 1);
+      }
+      assert.ok(close(cost, eng.cost), `${algo} cost (g at the goal) matches the path's cost`);
+      if (algo === "weighted") assert.ok(cost <= 2 * oracle(w, h, terrain, movement, start, goal) + 1e-9, "weighted A* within ε");
+    }
+  }
+});
+
+test("property: a stepped-back and replayed search ends in the same state", () => {
+  for (const { w, h, terrain, start, goal, movement } of CASES.slice(0, 40)) {
+    const eng = run(w, h, terrain, "astar", { movement, start, goal, heuristic: "octile" });
+    const end = [eng.path.join(), eng.closed.join(), eng.iter].join("|");
+    seekEngine(eng, Math.floor(eng.furthest / 2));
+    seekEngine(eng, eng.furthest);
+    assert.equal([eng.path.join(), eng.closed.join(), eng.iter].join("|"), end);
+  }
+});
+
+test("bidirectional A* and BFS are optimal, and keep searching past a first meeting that isn't the best route", () => {
+  let touchedEarly = 0;
+  for (const { w, h, terrain, start, goal, movement } of CASES) {
+    const best = oracle(w, h, terrain, movement, start, goal);
+    const bi = createEngine("bi-astar", w, h, terrain, { movement, start, goal, heuristic: "octile" });
+    let firstMeeting = Infinity;
+    while (!bi.finished) { bi.step(); if (firstMeeting === Infinity) firstMeeting = bi.mu; }
+    assert.equal(bi.success, best < Infinity);
+    if (!bi.success) continue;
+    assert.ok(close(bi.cost, best), "bidirectional A* cost is optimal");
+    assert.ok(bi.path[0] === start && bi.path[bi.path.length - 1] === goal && bi.path.includes(bi.meet));
+    assert.equal(bi.expandedForward + bi.expandedBackward, bi.expanded);
+    if (firstMeeting > best + 1e-9) touchedEarly++;
+    const bfs = run(w, h, terrain, "bi-bfs", { movement, start, goal });
+    assert.equal(bfs.path.length - 1, oracle(w, h, terrain, movement, start, goal, true), "bidirectional BFS finds the fewest moves");
+  }
+  assert.ok(touchedEarly > 0, "some first meetings are beaten later, so stopping at the touch would be wrong");
+
+  // stepping back restores both sides and the best meeting so far
+  const { w, h, terrain, start, goal, movement } = CASES.find((c) => oracle(c.w, c.h, c.terrain, c.movement, c.start, c.goal) < Infinity);
+  const bi = run(w, h, terrain, "bi-astar", { movement, start, goal });
+  const snap = () => [bi.g.join(), bi.gB.join(), bi.closed.join(), bi.closedB.join(), bi.mu, bi.meet, bi.path.join()].join("|");
+  const end = snap();
+  seekEngine(bi, 0);
+  assert.ok(bi.mu === Infinity && bi.meet === -1 && bi.open.length === 1);
+  seekEngine(bi, bi.furthest);
+  assert.equal(snap(), end);
+});
+
+test("jump point search: optimal on uniform grids, opens far fewer cells than A*, runs as A* on weighted terrain", () => {
+  for (const { w, h, terrain: base, start, goal, movement } of CASES) {
+    const terrain = base.map((t) => (t === WALL ? WALL : ROAD));
+    const best = oracle(w, h, terrain, movement, start, goal);
+    const jps = run(w, h, terrain, "jps", { movement, start, goal, heuristic: movement === "4" ? "manhattan" : "octile" });
+    assert.equal(jps.success, best < Infinity);
+    if (jps.success) assert.ok(close(jps.cost, best), `JPS ${movement}: ${jps.cost} vs ${best}`);
+  }
+
+  // an open field with one wall: a few jump points instead of a diamond of expansions
+  const w = 40; const h = 30; const terrain = new Uint8Array(w * h);
+  for (let y = 5; y < 25; y++) terrain[y * w + 20] = WALL;
+  for (const movement of ["4", "8", "8-no-corner"]) {
+    const jps = run(w, h, terrain, "jps", { movement, heuristic: movement === "4" ? "manhattan" : "octile" });
+    assert.ok(close(jps.cost, oracle(w, h, terrain, movement, 0, w * h - 1)));
+    assert.ok(jps.baselineExpanded === undefined && !jps.settle(10), "plain A* runs only when settled, in slices");
+    while (!jps.settle(10));
+    assert.ok(jps.expanded * 5 < jps.baselineExpanded, `${movement}: ${jps.expanded} vs A* ${jps.baselineExpanded}`);
+    const end = [jps.scanned.join(), jps.path.join()].join("|");
+    seekEngine(jps, 1);
+    assert.ok(jps.scanned.some((v) => v) && jps.rays().length > 0);
+    seekEngine(jps, jps.furthest);
+    assert.equal([jps.scanned.join(), jps.path.join()].join("|"), end);
+  }
+
+  const mud = terrain.slice(); mud[5 * w + 5] = 3;
+  assert.equal(run(w, h, mud, "jps").expanded, run(w, h, mud, "astar").expanded);
+});
+
+test("LPA*: after walls change mid-run or after the path, the repaired cost equals a fresh search", () => {
+  for (const { w, h, terrain: base, start, goal, movement } of CASES.slice(0, 80)) {
+    const terrain = base.slice(); const rng = mulberry32(w * 31 + h);
+    const lpa = createEngine("lpa", w, h, terrain, { movement, start, goal, heuristic: "octile" });
+    for (let round = 0; round < 4; round++) {
+      for (let k = Math.floor(rng() * 40); k > 0 && !lpa.finished; k--) lpa.step();
+      const cells = [];
+      for (let c = 0; c < 3; c++) {
+        const i = Math.floor(rng() * w * h);
+        if (i === start || i === goal) continue;
+        terrain[i] = terrain[i] === WALL ? [ROAD, 3][c % 2] : WALL; cells.push(i);
+      }
+      lpa.terrainChanged(cells);
+    }
+    while (!lpa.finished) lpa.step();
+    const best = oracle(w, h, terrain, movement, start, goal);
+    assert.equal(lpa.success, best < Infinity);
+    if (lpa.success) {
+      assert.ok(close(lpa.cost, best), "repaired cost is optimal");
+      assert.ok(lpa.path.every((i) => terrain[i] !== WALL), "no walls on the repaired path");
+    }
+    // the timeline reaches back to the latest edit, not past it, and replays from there
+    const end = lpa.iter; const cost = lpa.cost;
+    seekEngine(lpa, 0);
+    assert.equal(lpa.iter, lpa.historyStart);
+    seekEngine(lpa, end);
+    assert.ok(lpa.finished && (lpa.success ? close(lpa.cost, cost) : true));
+  }
+});
+
+test("LPA*: a wall dropped on a found path re-opens only nearby cells", () => {
+  const w = 40, h = 20;
+  const terrain = new Uint8Array(w * h);
+  const lpa = run(w, h, terrain, "lpa", { heuristic: "manhattan" });
+  const fresh = lpa.expanded;
+  const i = lpa.path[Math.floor(lpa.path.length / 2)];
+  terrain[i] = WALL; lpa.terrainChanged([i]);
+  assert.ok(!lpa.finished && [...lpa.open].some((j) => lpa.reopened[j]), "the edit re-opens settled cells");
+  const before = lpa.expanded;
+  while (!lpa.finished) lpa.step();
+  assert.ok(lpa.success && !lpa.path.includes(i));
+  assert.ok(close(lpa.cost, run(w, h, terrain, "astar").cost));
+  assert.ok(lpa.expanded - before < fresh, "repair is cheaper than the first search");
+});
+
+test("fog-of-war agent: walks only open cells, never beats the omniscient optimum, proves dead ends", () => {
+  for (const { w, h, terrain, start, goal, movement } of CASES.slice(0, 60)) {
+    for (const radius of [1, 3]) {
+      const agent = new FogAgent("astar", w, h, terrain, { movement, start, goal, radius, heuristic: "octile" });
+      while (!agent.finished) agent.step();
+      assert.equal(agent.success, pathExists(w, h, terrain, movement, start, goal));
+      assert.ok(agent.trail.every((i) => terrain[i] !== WALL), "the robot never enters a wall");
+      if (!agent.success) continue;
+      assert.equal(agent.trail[agent.trail.length - 1], goal);
+      assert.ok(agent.explain().includes("optimal …") && !agent.settle(1), "the whole-map search runs only when settled, in slices");
+      assert.ok(agent.optimalCost === undefined && agent.settle());
+      assert.ok(agent.travelled >= agent.optimalCost - 1e-9);
+      // a sensor that sees the whole grid plans the optimal route once
+      const seer = new FogAgent("astar", w, h, terrain, { movement, start, goal, radius: w + h, heuristic: "octile" });
+      while (!seer.finished) seer.step();
+      seer.settle();
+      assert.ok(close(seer.travelled, seer.optimalCost) && seer.replans === 1);
+    }
+  }
+  // stepping back hides what the sensor revealed again, and replaying repeats the walk
+  const w = 30, h = 20;
+  const { terrain } = generateObstacles(w, h, 0.3, "fog", true);
+  const agent = new FogAgent("astar", w, h, terrain, { radius: 2 });
+  const seenAtStart = agent.seen.join();
+  while (!agent.finished) agent.step();
+  const end = [agent.trail.join(), agent.travelled, agent.replans].join("|");
+  seekEngine(agent, 0);
+  assert.equal(agent.seen.join(), seenAtStart);
+  seekEngine(agent, agent.furthest);
+  assert.equal([agent.trail.join(), agent.travelled, agent.replans].join("|"), end);
+});
+
+test("fog-of-war agent: starting on the goal arrives without moving", () => {
+  const agent = new FogAgent("astar", 16, 9, new Uint8Array(16 * 9), { start: 20, goal: 20 });
+  assert.deepEqual(agent.step(), { done: true });
+  assert.deepEqual([agent.finished, agent.success, agent.travelled, agent.trail, agent.path, agent.cost], [true, true, 0, [20], [20], 0]);
+  assert.ok(agent.stepBack() && !agent.finished && agent.iter === 0);
+  assert.ok(agent.settle() && agent.optimalCost === 0);
+});
+
+test("inspect: any cell reports its state, scores and the direction of its parent", () => {
+  const w = 6; const h = 4; const terrain = new Uint8Array(w * h); terrain[2] = WALL; terrain[9] = 3;
+  const eng = createEngine("astar", w, h, terrain, { movement: "8", heuristic: "octile" });
+  for (let k = 0; k < 3; k++) eng.step();
+  assert.deepEqual(eng.inspect(2), ["(2, 0) wall"]);
+  assert.equal(eng.inspect(0)[0], "(0, 0) road, cost 1 · closed");
+  assert.equal(eng.inspect(23).join(" | "), `(5, 3) road, cost 1 · not reached | h ${fmt(eng.hScore[23])}`);
+  assert.equal(eng.came[7], 0); // (1, 1), reached diagonally from the start
+  assert.deepEqual(eng.inspect(7).slice(1), [`g ${fmt(Math.SQRT2)} · h ${fmt(eng.hScore[7])} · f ${fmt(eng.f[7])}`, "parent (0, 0) ↖"]);
+  assert.equal(fmt(Infinity), "∞");
+
+  const lpa = run(w, h, terrain, "lpa", { movement: "8" });
+  assert.match(lpa.inspect(w * h - 1)[1], /rhs .* \(consistent\)/);
+  const bi = run(w, h, terrain, "bi-astar", { movement: "8" });
+  assert.ok(bi.inspect(bi.meet).some((line) => line.startsWith("forward g")));
+});
+
+test("generateObstacles is reproducible from the seed", () => {
+  for (const seed of ["alpha", "beta", "dr-knowitall-a-star"]) {
+    const a = generateObstacles(40, 22, 0.3, seed, true, { terrain: true });
+    const b = generateObstacles(40, 22, 0.3, seed, true, { terrain: true });
+    assert.deepEqual(a, b);
+    assert.ok(pathExists(40, 22, a.terrain));
+  }
+  const a = generateObstacles(40, 22, 0.3, "alpha", false);
+  assert.notDeepEqual(a.terrain, generateObstacles(40, 22, 0.3, "alpha!", false).terrain, "different seeds differ");
+  const patched = generateObstacles(40, 22, 0.3, "alpha", false, { terrain: true });
+  assert.deepEqual(patched.terrain.map((t) => t === WALL), a.terrain.map((t) => t === WALL), "terrain patches keep the walls");
+  const r1 = rngFromSeed("x"); const r2 = rngFromSeed("x");
+  assert.deepEqual(Array.from({ length: 5 }, r1), Array.from({ length: 5 }, r2));
+});
+
+test("generators: deterministic, and the solvable ones never need a retry", () => {
+  for (const [id, gen] of Object.entries(GENERATORS)) {
+    for (const [w, h, start, goal] of [[16, 9, 0, 143], [17, 10, 3 * 17 + 5, 8 * 17 + 12], [64, 36, 64 * 5, 64 * 30 + 7]]) {
+      const a = generateObstacles(w, h, 0.3, "gen", true, { generator: id, start, goal });
+      const b = generateObstacles(w, h, 0.3, "gen", true, { generator: id, start, goal });
+      assert.deepEqual(a.terrain, b.terrain, id);
+      assert.ok(pathExists(w, h, a.terrain, "4", start, goal), `${id} unsolvable`);
+      if (gen.solvable) assert.equal(a.attempts, 1, id);
+    }
+  }
+});
+
+test("map files round-trip, and malformed ones fail with a message", () => {
+  const { terrain } = generateObstacles(16, 9, 0.3, "files", true, { terrain: true });
+  const json = layoutToJson({ w: 16, h: 9, terrain, start: 0, goal: 143, seed: "files", waypoints: [[3, 4]] });
+  const back = parseMapFile(json);
+  assert.equal(back.kind, "layout");
+  assert.deepEqual(back.terrain, terrain);
+  assert.deepEqual([back.goal, back.waypoints, back.seed], [[15, 8], [[3, 4]], "files"]);
+  const rows = Array.from({ length: 9 }, (_, y) => (y === 4 ? "..@@TTWWSSGGOO.." : "................"));
+  const map = parseMapFile(`type octile\nheight 9\nwidth 16\nmap\n${rows.join("\n")}\n`);
+  assert.deepEqual(Array.from(map.terrain.subarray(4 * 16, 5 * 16)), [0, 0, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0]);
+  const scen = parseMapFile("version 1\n0\tx.map\t16\t9\t0\t0\t15\t8\t18.31370850\n");
+  assert.deepEqual(scen.scenarios[0], { bucket: 0, map: "x.map", mapW: 16, mapH: 9, start: [0, 0], goal: [15, 8], optimal: 18.3137085 });
+  assert.throws(() => parseMapFile(json.replace('"width": 16', '"width": 17')), /row 0 should have 17 cells/);
+  assert.throws(() => parseMapFile(`type octile\nheight 10\nwidth 16\nmap\n${rows.join("\n")}`), /ends early/);
+  assert.throws(() => parseMapFile("type octile\nheight 9\nwidth 4096\nmap\n"), /4096×9/);
+  assert.throws(() => parseMapFile("version 1\n0\tx.map\t16\t9\t0\t0\t16\t8\t1\n"), /outside/);
+  assert.throws(() => parseMapFile("hello"), /Unrecognized file/);
+});
+
+test("share links restore the configuration and the exact hand edits", () => {
+  const { terrain: base } = generateObstacles(16, 9, 0.3, "links", true);
+  const edited = base.slice(); edited[0] = WALL; edited[1] = 4; edited[70] = base[70] === WALL ? ROAD : WALL; edited[143] = 2;
+  const edits = encodeTerrainEdits(base, edited);
+  const restored = base.slice();
+  assert.ok(applyTerrainEdits(restored, edits));
+  assert.deepEqual(restored, edited);
+  assert.equal(encodeTerrainEdits(base, base), "");
+  assert.ok(!applyTerrainEdits(new Uint8Array(4), edits), "edits for another size are refused");
+  const config = {
+    seed: "a b&c", gridW: 80, gridH: 45, density: 0.3, guarantee: false, speed: 12, generator: "prim", terrainOn: true, movement: "8",
+    algorithm: "weighted", weight: 2.5, heuristic: "octile", goalMode: "tour", start: [3, 4], waypoints: [[1, 2], [5, 6]], edits,
+    raceCount: 4, raceAlgs: ["bfs", "greedy", "astar"], agent: true, sensor: 5,
+  };
+  assert.deepEqual(parseShareHash(`#${shareHash({ ...config, goal: null })}`), config);
+  assert.ok(!("sensor" in parseShareHash(`#${shareHash({ ...config, agent: false })}`)), "the sensor radius only travels with the agent");
+  assert.deepEqual(parseShareHash("#w=5000&a=nope&d=x&st=1,2"), {});
+  assert.equal(parseShareHash(`#${shareHash({ ...config, speed: Infinity })}`).speed, Infinity);
+  assert.equal(parseShareHash("#v=3000").speed, 3000);
+});
+
+test("race stats: peak open set survives stepping back; A* beats Dijkstra at equal cost", () => {
+  const w = 16, h = 9;
+  const ids = ["astar", "dijkstra"];
+  const racers = ids.map((id) => createEngine(id, w, h, new Uint8Array(w * h), {}));
+  const peaks = [];
+  while (!racers.every((r) => r.finished)) { for (const r of racers) if (!r.finished) r.step(); peaks.push(racers[1].peakOpen); }
+  for (let k = peaks.length - 2; k >= 0; k--) { racers[1].stepBack(); assert.equal(racers[1].peakOpen, peaks[k]); }
+  seekEngine(racers[1], racers[1].furthest);
+  const { rows, winner, bestCost } = raceSummary(racers, ids);
+  assert.equal(winner, 0);
+  assert.ok(rows[0].expanded < rows[1].expanded && rows[0].cost === bestCost && rows[1].cost === bestCost);
+  assert.ok(rows[0].length === w + h - 2 && rows[1].expanded === w * h);
+});
+
+test("announcements: silent while searching, then the outcome of a run or a race", () => {
+  const w = 8; const h = 5; const terrain = new Uint8Array(w * h);
+  const eng = createEngine("astar", w, h, terrain, {});
+  assert.equal(finishAnnouncement([eng], ["astar"]), null);
+  while (!eng.finished) eng.step();
+  assert.equal(finishAnnouncement([eng], ["astar"]), `Goal reached, path length ${w + h - 2}, cost ${w + h - 2}, ${eng.expanded} nodes expanded`);
+  const walled = terrain.slice(); for (let y = 0; y < h; y++) walled[y * w + 4] = WALL;
+  const racers = ["astar", "bfs"].map((a) => run(w, h, walled, a));
+  assert.equal(finishAnnouncement(racers.slice(0, 1), ["astar"]), `No path: the goal can't be reached (${racers[0].expanded} nodes expanded)`);
+  assert.equal(finishAnnouncement(racers, ["astar", "bfs"]), "Race over: no engine reached the goal");
+  const race = ["dijkstra", "astar"].map((a) => run(w, h, terrain, a));
+  assert.match(finishAnnouncement(race, ["dijkstra", "astar"]), /^Race over: A\* wins with \d+ nodes expanded, path length 11, cost 11$/);
+});
+
+test("engine state: a copy sent over postMessage resumes as the same run, back and forth", () => {
+  const w = 40; const h = 24;
+  const { terrain } = generateObstacles(w, h, 0.25, "transfer", true, { terrain: true });
+  const options = { movement: "8", heuristic: "octile", start: 0, goal: w * h - 1 };
+  const specs = [
+    ...Object.keys(ALGORITHMS).map((algorithm) => ({ algorithm, options })),
+    { algorithm: "jps", options, stops: [0, 17 * w + 5, 3 * w + 30, w * h - 1] },
+    { algorithm: "astar", options: { ...options, radius: 3 }, agent: true },
+  ];
+  for (const spec of specs) {
+    const here = engineFromSpec(spec, w, h, terrain);
+    seekEngine(here, Infinity);
+    const away = engineFromSpec(spec, w, h, terrain.slice()); // the worker's own copy of the map
+    seekEngine(away, Infinity);
+    const { state, transfer } = engineState(away);
+    const sent = structuredClone(state, { transfer });
+    const eng = engineFromSpec(spec, w, h, terrain);
+    seekEngine(eng, 7); // the page's engine may be part-way through the run
+    adoptEngineState(eng, sent);
+    const name = `${spec.algorithm}${spec.stops ? " route" : ""}${spec.agent ? " agent" : ""}`;
+    const same = (k) => {
+      assert.equal(eng.iter, here.iter, name);
+      assert.deepEqual([eng.finished, eng.success, eng.cost, eng.expanded, eng.peakOpen], [here.finished, here.success, here.cost, here.expanded, here.peakOpen], `${name} @${k}`);
+      assert.deepEqual(eng.path, here.path, `${name} @${k}`);
+      assert.deepEqual(eng.closed, here.closed, `${name} @${k}`);
+      if (!spec.agent) assert.deepEqual([eng.g, eng.came, eng.open.length], [here.g, here.came, here.open.length], `${name} @${k}`);
+    };
+    assert.ok(eng.terrain === terrain && eng.finished);
+    same("end");
+    const half = Math.floor(here.iter / 2);
+    seekEngine(eng, half); seekEngine(here, half);
+    same(half);
+    seekEngine(eng, Infinity); seekEngine(here, Infinity);
+    same("end again");
+  }
+  assert.ok(transferable(engineState(engineFromSpec(specs[0], w, h, terrain))));
+});
+
+// every typed array in a copy travels by transfer (nothing big is cloned)
+function transferable({ state, transfer }) {
+  const buffers = new Set(transfer);
+  const walk = (v) => (ArrayBuffer.isView(v) ? buffers.has(v.buffer) : v && typeof v === "object" ? Object.values(v).every(walk) : true);
+  return walk(state) && !("options" in state) && !("terrain" in state);
+}
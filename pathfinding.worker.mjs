@@ -0,0 +1,50 @@
+/**
+ * Web Worker for the demo's long jobs, so the page keeps drawing and answering clicks:
+ * generating a layout (up to 120 solvability retries) and running searches to the end.
+ *
+ * In:  { id, type: "generate", w, h, density, seed, guarantee, opts }   (opts as generateObstacles)
+ *      { id, type: "solve", w, h, terrain, specs }                        (specs as engineFromSpec)
+ * Out: { id, type: "progress", done, total }   (total is null for searches: their length isn't known)
+ *      { id, type: "generated", terrain, attempts }
+ *      { id, type: "solved", states }          (engineState() of each settled engine, in spec order)
+ *      { id, type: "error", message }
+ * Typed arrays come back transferred, not copied. There is no cancel message: the page
+ * terminates the worker and starts a fresh one for its next job.
+ */
+
+import { engineFromSpec, engineState, generateObstacles } from "./pathfinding.mjs";
+
+const PROGRESS_MS = 100; // at most one progress message per this many ms
+const STEPS_PER_CHECK = 1024; // steps between looks at the clock
+
+function generate({ id, w, h, density, seed, guarantee, opts }) {
+  const onAttempt = (done, total) => self.postMessage({ id, type: "progress", done, total });
+  const { terrain, attempts } = generateObstacles(w, h, density, seed, guarantee, { ...opts, onAttempt });
+  self.postMessage({ id, type: "generated", terrain, attempts }, [terrain.buffer]);
+}
+
+// All engines advance in turn, as the page's lockstep does, so progress covers every pane
+function solve({ id, w, h, terrain, specs }) {
+  const engines = specs.map((spec) => engineFromSpec(spec, w, h, terrain));
+  let reported = Date.now();
+  for (let n = 1; engines.some((eng) => !eng.finished); n++) {
+    for (const eng of engines) if (!eng.finished) eng.step();
+    if (n % STEPS_PER_CHECK === 0 && Date.now() - reported >= PROGRESS_MS) {
+      reported = Date.now();
+      self.postMessage({ id, type: "progress", done: engines.reduce((sum, eng) => sum + eng.iter, 0), total: null });
+    }
+  }
+  for (const eng of engines) eng.settle?.(); // comparison figures (JPS vs plain A*, the agent's optimum) too
+  const copies = engines.map(engineState);
+  self.postMessage({ id, type: "solved", states: copies.map((c) => c.state) }, copies.flatMap((c) => c.transfer));
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type === "generate") generate(data);
+    else if (data.type === "solve") solve(data);
+    else throw new Error(`Unknown job type "${data.type}".`);
+  } catch (e) {
+    self.postMessage({ id: data.id, type: "error", message: e.message });
+  }
+};
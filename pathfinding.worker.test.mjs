@@ -0,0 +1,53 @@
+// Node test suite for the search worker: node --test
+// The worker module runs against a stand-in `self` that records what it posts.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adoptEngineState, engineFromSpec, generateObstacles, seekEngine } from "./pathfinding.mjs";
+
+const posted = [];
+globalThis.self = { postMessage: (data, transfer = []) => posted.push({ data, transfer }) };
+await import("./pathfinding.worker.mjs");
+function send(data) { posted.length = 0; self.onmessage({ data }); return posted.slice(); }
+
+test("generate: reports each solvability attempt, then the same layout as the page would make", () => {
+  const opts = { movement: "4", generator: "noise" };
+  const out = send({ id: 1, type: "generate", w: 48, h: 27, density: 0.45, seed: "retry", guarantee: true, opts });
+  const done = out.pop().data; const expected = generateObstacles(48, 27, 0.45, "retry", true, opts);
+  assert.equal(done.type, "generated");
+  assert.equal(done.attempts, expected.attempts);
+  assert.deepEqual(done.terrain, expected.terrain);
+  assert.ok(expected.attempts > 1, "this seed needs retries");
+  assert.deepEqual(out.map((m) => m.data), Array.from({ length: done.attempts }, (_, k) => ({ id: 1, type: "progress", done: k + 1, total: 120 })));
+});
+
+test("solve: every engine's finished state comes back transferred, in spec order", () => {
+  const w = 64; const h = 36;
+  const { terrain } = generateObstacles(w, h, 0.3, "worker", true);
+  const options = { heuristic: "manhattan", start: 0, goal: w * h - 1 };
+  const specs = [{ algorithm: "dijkstra", options }, { algorithm: "bi-astar", options }, { algorithm: "astar", options, stops: [0, 20 * w + 30, w * h - 1] }];
+  const [done] = send({ id: 2, type: "solve", w, h, terrain: terrain.slice(), specs }).filter((m) => m.data.type !== "progress");
+  assert.equal(done.data.type, "solved");
+  assert.ok(done.transfer.length > 10 && done.transfer.every((b) => b instanceof ArrayBuffer));
+  done.data.states.forEach((state, k) => {
+    const here = engineFromSpec(specs[k], w, h, terrain); seekEngine(here, Infinity);
+    const eng = adoptEngineState(engineFromSpec(specs[k], w, h, terrain), state);
+    assert.deepEqual([eng.finished, eng.iter, eng.cost, eng.path], [true, here.iter, here.cost, here.path]);
+  });
+});
+
+test("solve: comparison searches come back settled, replacing one the page had started", () => {
+  const w = 40; const h = 30; const terrain = new Uint8Array(w * h);
+  const specs = [{ algorithm: "jps", options: { movement: "8", heuristic: "octile", start: 0, goal: w * h - 1 } }];
+  const [done] = send({ id: 5, type: "solve", w, h, terrain, specs }).filter((m) => m.data.type !== "progress");
+  const here = engineFromSpec(specs[0], w, h, terrain); here.settle();
+  const page = engineFromSpec(specs[0], w, h, terrain); page.settle(5);
+  adoptEngineState(page, done.data.states[0]);
+  assert.deepEqual([page.baselineExpanded, page.plain, page.settle(1)], [here.baselineExpanded, null, true]);
+});
+
+test("errors come back as messages", () => {
+  const [out] = send({ id: 3, type: "nope" });
+  assert.deepEqual(out.data, { id: 3, type: "error", message: 'Unknown job type "nope".' });
+  const [bad] = send({ id: 4, type: "solve", w: 4, h: 4, terrain: null, specs: [{ algorithm: "astar", options: {} }] });
+  assert.equal(bad.data.type, "error");
+});
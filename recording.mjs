@@ -0,0 +1,127 @@
+/**
+ * Recording helpers for the demo's Record panel: the frame schedule that decides which search
+ * iteration each video frame shows (so a recording depends on the stepping, never on wall-clock
+ * timing), a WebM writer for frames encoded with WebCodecs, and a store-only ZIP writer for
+ * the PNG-sequence fallback. Drawing frames and driving the encoders stays in A_Star.jsx.
+ */
+
+export const RECORD_SCALES = [1, 1.5, 2]; // × the 960×540 canvas: up to 1920×1080
+export const RECORD_FPS = [24, 30, 60];
+export const RECORD_MAX_SECONDS = { webm: 120, png: 20 }; // longer runs are sped up to fit
+
+// Iteration shown by each frame of a replay from `first` to `last`: `speed` steps per second of
+// output, sped up when the run would last longer than maxSeconds, then holdSeconds on the end.
+export function frameSchedule({ first = 0, last, speed, fps, maxSeconds = 120, holdSeconds = 1 }) {
+  if (!(speed > 0 && fps > 0)) throw new Error("Speed and fps must be positive.");
+  const perFrame = Math.max(speed / fps, (last - first) / (maxSeconds * fps));
+  const frames = [];
+  for (let k = 0; ; k++) {
+    const iter = Math.min(last, first + Math.floor(k * perFrame));
+    frames.push(iter);
+    if (iter >= last) break;
+  }
+  for (let k = Math.round(holdSeconds * fps); k > 0; k--) frames.push(last);
+  return frames;
+}
+
+// "frame-00042.png": zero-padded so the files sort in playback order
+export function frameName(k, ext = "png") {
+  return `frame-${String(k).padStart(5, "0")}.${ext}`;
+}
+
+// --- ZIP (stored) --------------------------------------------------------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// CRC-32 (IEEE), as ZIP stores it
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// [{ name, data: Uint8Array }] → the bytes of a ZIP archive. Entries are stored uncompressed
+// (PNGs are compressed already); names are ASCII and every file is dated 1980-01-01.
+export function zipStore(files) {
+  const enc = new TextEncoder();
+  const entries = files.map(({ name, data }) => ({ name: enc.encode(name), data, crc: crc32(data) }));
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let at = 0;
+  const u16 = (v) => { view.setUint16(at, v, true); at += 2; };
+  const u32 = (v) => { view.setUint32(at, v, true); at += 4; };
+  const bytes = (b) => { out.set(b, at); at += b.length; };
+  // version 20, no flags, stored, time 0, date 1980-01-01, crc, sizes, name length, no extra
+  const common = (e) => { u16(20); u16(0); u16(0); u16(0); u16(0x21); u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); };
+
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(at);
+    u32(0x04034b50); common(e); bytes(e.name); bytes(e.data);
+  }
+  const centralAt = at;
+  entries.forEach((e, k) => {
+    u32(0x02014b50); u16(20); common(e);
+    u16(0); u16(0); u16(0); u32(0); u32(offsets[k]); // comment, disk, attributes, local header
+    bytes(e.name);
+  });
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length); u32(centralSize); u32(centralAt); u16(0);
+  return out;
+}
+
+// --- WebM ----------------------------------------------------------------------
+// EBML element: ID bytes, the body length as a minimal variable-size integer, then the body
+function ebml(id, body) {
+  const idBytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) idBytes.unshift(v & 255);
+  const data = concat(Array.isArray(body) ? body : [body]);
+  let len = 1;
+  while (data.length >= 2 ** (7 * len) - 1) len++;
+  const size = new Uint8Array(len);
+  for (let k = len - 1, v = data.length; k >= 0; k--, v = Math.floor(v / 256)) size[k] = v & 255;
+  size[0] |= 1 << (8 - len);
+  return concat([Uint8Array.from(idBytes), size, data]);
+}
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+const ebmlUint = (id, v) => { const b = []; do { b.unshift(v & 255); v = Math.floor(v / 256); } while (v > 0); return ebml(id, Uint8Array.from(b)); };
+const ebmlFloat = (id, v) => { const b = new Uint8Array(8); new DataView(b.buffer).setFloat64(0, v); return ebml(id, b); };
+const ebmlString = (id, s) => ebml(id, new TextEncoder().encode(s));
+
+// Encoded video frames → the bytes of a single-track WebM file. frames are [{ data: Uint8Array,
+// timestamp (µs), key }] in decode order, as a WebCodecs VideoEncoder hands them out; codec is
+// "V_VP8" or "V_VP9". Timecodes are in ms, and a cluster starts at every key frame.
+export function webmMux({ width, height, fps, codec, frames }) {
+  const ms = (us) => Math.round(us / 1000);
+  const end = frames.length ? ms(frames[frames.length - 1].timestamp + 1e6 / fps) : 0;
+  const clusters = [];
+  let cluster = null;
+  for (const { data, timestamp, key } of frames) {
+    const t = ms(timestamp);
+    if (!cluster || key || t - cluster.time > 32767) { cluster = { time: t, blocks: [] }; clusters.push(cluster); }
+    // track 1, int16 time relative to the cluster, flags (0x80: key frame), frame data
+    const head = new Uint8Array(4);
+    head[0] = 0x81; new DataView(head.buffer).setInt16(1, t - cluster.time); head[3] = key ? 0x80 : 0;
+    cluster.blocks.push(ebml(0xa3, [head, data]));
+  }
+  return concat([
+    ebml(0x1a45dfa3, [ebmlUint(0x4286, 1), ebmlUint(0x42f7, 1), ebmlUint(0x42f2, 4), ebmlUint(0x42f3, 8), ebmlString(0x4282, "webm"), ebmlUint(0x4287, 2), ebmlUint(0x4285, 2)]),
+    ebml(0x18538067, [
+      ebml(0x1549a966, [ebmlUint(0x2ad7b1, 1e6), ebmlString(0x4d80, "A* demo"), ebmlString(0x5741, "A* demo"), ebmlFloat(0x4489, end)]),
+      ebml(0x1654ae6b, ebml(0xae, [
+        ebmlUint(0xd7, 1), ebmlUint(0x73c5, 1), ebmlUint(0x83, 1), ebmlString(0x86, codec), ebmlUint(0x23e383, Math.round(1e9 / fps)),
+        ebml(0xe0, [ebmlUint(0xb0, width), ebmlUint(0xba, height)]),
+      ])),
+      ...clusters.map((c) => ebml(0x1f43b675, [ebmlUint(0xe7, c.time), ...c.blocks])),
+    ]),
+  ]);
+}
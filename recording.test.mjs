@@ -0,0 +1,85 @@
+// Node test suite for the recording helpers: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, frameName, frameSchedule, webmMux, zipStore } from "./recording.mjs";
+import { createEngine, generateObstacles, seekEngine } from "./pathfinding.mjs";
+
+test("frame schedule: speed steps per second, sped up past maxSeconds, held on the last frame", () => {
+  assert.deepEqual(frameSchedule({ last: 6, speed: 2, fps: 4, holdSeconds: 0.5 }), [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 6]);
+  const long = frameSchedule({ first: 10, last: 10010, speed: 5, fps: 30, maxSeconds: 10, holdSeconds: 0 });
+  assert.ok(long.length <= 10 * 30 + 1 && long[0] === 10 && long[long.length - 1] === 10010);
+  assert.ok(long.every((it, k) => k === 0 || it >= long[k - 1]));
+  assert.deepEqual(frameSchedule({ first: 3, last: 3, speed: 6, fps: 30, holdSeconds: 0 }), [3]);
+  assert.throws(() => frameSchedule({ last: 5, speed: 0, fps: 30 }), /positive/);
+  assert.equal(frameName(42), "frame-00042.png");
+});
+
+test("frames replay the same states however often the run is recorded", () => {
+  const { terrain } = generateObstacles(40, 24, 0.25, "rec", true, {});
+  const eng = createEngine("astar", 40, 24, terrain, { heuristic: "manhattan" });
+  seekEngine(eng, Infinity);
+  const frames = frameSchedule({ last: eng.iter, speed: 30, fps: 24 });
+  const take = () => frames.map((it) => { seekEngine(eng, it); return `${eng.iter}:${eng.open.length}:${eng.current}`; }).join();
+  const first = take();
+  seekEngine(eng, 7);
+  assert.equal(take(), first);
+});
+
+test("zip: stored entries with their CRC-32, sizes and a central directory", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  const files = [{ name: "a.txt", data: new TextEncoder().encode("hello") }, { name: frameName(1), data: new Uint8Array([137, 80, 78, 71]) }];
+  const zip = zipStore(files); const view = new DataView(zip.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint32(14, true), crc32(files[0].data));
+  assert.equal(view.getUint32(18, true), 5);
+  assert.equal(new TextDecoder().decode(zip.subarray(30, 35)), "a.txt");
+  assert.equal(new TextDecoder().decode(zip.subarray(35, 40)), "hello");
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const central = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(central, true), 0x02014b50);
+  assert.equal(central + view.getUint32(end + 12, true), end);
+});
+
+// Minimal EBML reader: [{ id, data }] for the elements in bytes, descending into `masters`
+function readEbml(bytes, masters) {
+  const out = [];
+  for (let at = 0; at < bytes.length;) {
+    const vint = (keepMarker) => {
+      let len = 1; while (!(bytes[at] & (0x80 >> (len - 1)))) len++;
+      let v = keepMarker ? bytes[at] : bytes[at] & (0xff >> len);
+      for (let k = 1; k < len; k++) v = v * 256 + bytes[at + k];
+      at += len; return v;
+    };
+    const id = vint(true); const size = vint(false);
+    const data = bytes.subarray(at, at + size); at += size;
+    out.push({ id, data, children: masters.includes(id) ? readEbml(data, masters) : null });
+  }
+  return out;
+}
+
+test("webm: EBML header, one VP9 track and a cluster per key frame with ms timecodes", () => {
+  const fps = 30;
+  const frames = Array.from({ length: 5 }, (_, k) => ({ data: new Uint8Array(k === 2 ? 300 : 3).fill(k), timestamp: Math.round(k * 1e6 / fps), key: k % 3 === 0 }));
+  const file = readEbml(webmMux({ width: 1920, height: 1080, fps, codec: "V_VP9", frames }), [0x1a45dfa3, 0x18538067, 0x1549a966, 0x1654ae6b, 0xae, 0xe0, 0x1f43b675]);
+  const find = (els, id) => els.find((e) => e.id === id);
+  const uint = (e) => e.data.reduce((v, b) => v * 256 + b, 0);
+  assert.deepEqual(file.map((e) => e.id), [0x1a45dfa3, 0x18538067]);
+  assert.equal(new TextDecoder().decode(find(file[0].children, 0x4282).data), "webm");
+  const [info, tracks, ...clusters] = file[1].children;
+  assert.equal(uint(find(info.children, 0x2ad7b1)), 1e6);
+  assert.equal(new DataView(find(info.children, 0x4489).data.slice().buffer).getFloat64(0), 167);
+  const track = tracks.children[0].children;
+  assert.equal(new TextDecoder().decode(find(track, 0x86).data), "V_VP9");
+  assert.deepEqual(find(track, 0xe0).children.map(uint), [1920, 1080]);
+
+  assert.equal(clusters.length, 2);
+  const blocks = clusters.flatMap((c) => {
+    const time = uint(c.children[0]);
+    return c.children.slice(1).map((b) => ({ time: time + new DataView(b.data.slice(1, 3).buffer).getInt16(0), key: b.data[3] === 0x80, data: b.data.subarray(4) }));
+  });
+  assert.deepEqual(blocks.map((b) => b.time), [0, 33, 67, 100, 133]);
+  assert.deepEqual(blocks.map((b) => b.key), [true, false, false, true, false]);
+  blocks.forEach((b, k) => assert.deepEqual(b.data, frames[k].data));
+});